@@ -0,0 +1,219 @@
+/**
+ * Token Framer - Animated Compositing
+ * Records framed WebM output for animated base images (videos, animated WebP/GIF)
+ * by drawing every source frame through the shared compositor and capturing the canvas.
+ */
+
+import { debugLog } from './main.js';
+import { createCompositor, isVideoPath, loadVideo } from './compositor.js';
+
+/**
+ * MIME type of animated cached images
+ */
+export const ANIMATED_OUTPUT_FORMAT = 'video/webm';
+
+const RECORDING_FPS = 30;
+const MAX_RECORDING_MS = 60000;
+const DEFAULT_FRAME_DURATION_MS = 100;
+
+// Still-image formats that may contain multiple frames
+const ANIMATED_IMAGE_TYPES = {
+  webp: 'image/webp',
+  gif: 'image/gif',
+  png: 'image/png',
+  apng: 'image/apng'
+};
+
+// Detection results per source path
+const animatedSourceCache = new Map();
+
+/**
+ * Pick the best WebM codec MediaRecorder supports (VP9 keeps alpha best)
+ */
+function getRecorderMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+/**
+ * Check if this browser can record animated output
+ */
+export function canRecordAnimation() {
+  return !!getRecorderMimeType() && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+/**
+ * Get the extension of a path, lowercased and without query string
+ */
+function getExtension(src) {
+  return src.split('?')[0].split('.').pop().toLowerCase();
+}
+
+/**
+ * Decode an image file with the WebCodecs ImageDecoder
+ */
+async function openImageDecoder(src) {
+  const response = await fetch(src);
+  if (!response.ok) throw new Error(`Failed to load image: ${src}`);
+  const type = response.headers.get('Content-Type')?.split(';')[0] || ANIMATED_IMAGE_TYPES[getExtension(src)];
+  const decoder = new ImageDecoder({ data: await response.arrayBuffer(), type });
+  await decoder.tracks.ready;
+  return decoder;
+}
+
+/**
+ * Check if a base image is animated
+ * Videos are detected by extension; multi-frame images are inspected with ImageDecoder where available.
+ * @param {string} src
+ * @returns {Promise<boolean>}
+ */
+export function isAnimatedSource(src) {
+  if (!src) return Promise.resolve(false);
+  if (isVideoPath(src)) return Promise.resolve(true);
+  if (!(getExtension(src) in ANIMATED_IMAGE_TYPES) || typeof ImageDecoder === 'undefined') {
+    return Promise.resolve(false);
+  }
+
+  if (!animatedSourceCache.has(src)) {
+    const detection = openImageDecoder(src)
+      .then(decoder => {
+        const track = decoder.tracks.selectedTrack;
+        const animated = !!track?.animated && track.frameCount > 1;
+        decoder.close();
+        return animated;
+      })
+      .catch(err => {
+        debugLog('Could not inspect image for animation:', src, err);
+        return false;
+      });
+    animatedSourceCache.set(src, detection);
+  }
+  return animatedSourceCache.get(src);
+}
+
+/**
+ * Record a canvas while a playback function draws to it
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} quality - 0-1, mapped to the recording bitrate
+ * @param {function(): Promise<void>} play - Draws frames, resolves when the animation is done
+ * @returns {Promise<Blob>}
+ */
+function recordCanvas(canvas, quality, play) {
+  const stream = canvas.captureStream(RECORDING_FPS);
+  const recorder = new MediaRecorder(stream, {
+    mimeType: getRecorderMimeType(),
+    videoBitsPerSecond: Math.round(8000000 * quality)
+  });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data?.size) chunks.push(event.data);
+  };
+
+  return new Promise((resolve, reject) => {
+    recorder.onstop = () => resolve(new Blob(chunks, { type: ANIMATED_OUTPUT_FORMAT }));
+    recorder.onerror = (event) => reject(event.error ?? new Error('Recording failed'));
+    recorder.start();
+    play().then(
+      () => recorder.stop(),
+      (err) => {
+        recorder.onstop = null;
+        recorder.stop();
+        reject(err);
+      }
+    );
+  }).finally(() => {
+    stream.getTracks().forEach(track => track.stop());
+  });
+}
+
+/**
+ * Play a video once from the start, drawing each frame through the compositor
+ */
+function playVideo(video, compositor) {
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    const hasFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+
+    const drawFrame = () => {
+      if (finished) return;
+      compositor.draw(video);
+      if (hasFrameCallback) video.requestVideoFrameCallback(drawFrame);
+      else requestAnimationFrame(drawFrame);
+    };
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeout);
+      video.pause();
+      resolve();
+    };
+
+    const timeout = setTimeout(finish, MAX_RECORDING_MS);
+    video.loop = false;
+    video.onended = finish;
+    video.onerror = () => {
+      finished = true;
+      clearTimeout(timeout);
+      reject(new Error(`Video playback failed: ${video.src}`));
+    };
+
+    video.currentTime = 0;
+    compositor.draw(video);
+    video.play().then(drawFrame, (err) => {
+      finished = true;
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Step through every frame of an animated image, holding each for its own duration
+ */
+async function playAnimatedImage(decoder, compositor) {
+  const frameCount = decoder.tracks.selectedTrack.frameCount;
+  const start = Date.now();
+
+  for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+    const { image } = await decoder.decode({ frameIndex });
+    compositor.draw(image);
+    const durationMs = image.duration ? image.duration / 1000 : DEFAULT_FRAME_DURATION_MS;
+    image.close();
+
+    await new Promise(resolve => setTimeout(resolve, durationMs));
+    if (Date.now() - start > MAX_RECORDING_MS) break;
+  }
+}
+
+/**
+ * Render an animated base image into a framed WebM
+ * Recording runs in real time, so this takes as long as one loop of the source.
+ * @param {string} baseImagePath - Video or animated image
+ * @param {Object} frameData - Frame configuration
+ * @param {number} size - Output size in pixels (the longer side)
+ * @param {number} quality - 0-1
+ * @returns {Promise<Blob>}
+ */
+export async function renderAnimatedComposite(baseImagePath, frameData, size, quality = 0.95) {
+  const compositor = await createCompositor(frameData, size);
+  debugLog('Recording animated frame for:', baseImagePath);
+
+  if (isVideoPath(baseImagePath)) {
+    const video = await loadVideo(baseImagePath);
+    try {
+      return await recordCanvas(compositor.canvas, quality, () => playVideo(video, compositor));
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+    }
+  }
+
+  const decoder = await openImageDecoder(baseImagePath);
+  try {
+    return await recordCanvas(compositor.canvas, quality, () => playAnimatedImage(decoder, compositor));
+  } finally {
+    decoder.close();
+  }
+}
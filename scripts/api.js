@@ -0,0 +1,104 @@
+/**
+ * Token Framer - Public API
+ * Exposed as game.modules.get('token-framer').api for macros and other modules.
+ * Every method returns a Promise. frameData passed in uses the current schema
+ * (offsets in pixels of a 1000px token) and only needs the properties you want to set.
+ *
+ * Hooks:
+ * - token-framer.preComposite (context) - Before a new image is composited. `context` holds
+ *   { baseImagePath, frameData, renderSettings, owner }; handlers may edit it, or return false to cancel.
+ * - token-framer.composited (context) - After compositing. Adds `blob`, plus `path` and `key`
+ *   when the image was saved to the cache.
+ */
+
+import { MODULE_ID } from './constants.js';
+import {
+  getFramedPathForImage, frameTokenDocument, frameActorPrototype, restoreOriginalImage, restorePrototypeImage,
+  regenerateAllFrames, renderFramedImage, isCachePath
+} from './frame-layer.js';
+import { getPresets, applyPreset } from './presets.js';
+import { getBatchTargets, batchFrameDocuments } from './batch-frame.js';
+
+/**
+ * Read a blob as a data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Remove the frame from a placed token or an actor's prototype token
+ * @param {TokenDocument|Token|Actor} document
+ * @returns {Promise<boolean>} Whether an original image was restored
+ */
+async function restore(document) {
+  if (document.documentName === 'Actor') return restorePrototypeImage(document);
+  const tokenDoc = document.document ?? document;
+  const hadFrame = !!tokenDoc.getFlag(MODULE_ID, 'originalImage') || isCachePath(tokenDoc.texture.src);
+  await restoreOriginalImage(tokenDoc);
+  return hadFrame;
+}
+
+/**
+ * Render a framed image without saving it
+ * @param {string} baseImage - Unframed image path
+ * @param {Object} frameData
+ * @param {Object} [options]
+ * @param {number} [options.size] - Output size in pixels of the longer side (defaults to the cache resolution)
+ * @param {number} [options.quality] - 0-1 (defaults to the cache quality)
+ * @param {boolean} [options.animated=true] - Record animated sources as WebM
+ * @param {number} [options.aspect] - Width:height ratio of the output (defaults to square)
+ * @returns {Promise<Blob|null>}
+ */
+async function renderBlob(baseImage, frameData, options = {}) {
+  return renderFramedImage(baseImage, frameData, options);
+}
+
+/**
+ * Render a framed still image as a data URL without saving it
+ * @param {string} baseImage - Unframed image path
+ * @param {Object} frameData
+ * @param {Object} [options] - Same as renderBlob (animation is always off)
+ * @returns {Promise<string|null>}
+ */
+async function renderDataUrl(baseImage, frameData, options = {}) {
+  const blob = await renderBlob(baseImage, frameData, { ...options, animated: false });
+  return blob ? blobToDataUrl(blob) : null;
+}
+
+/**
+ * Frame many documents at once
+ * @param {Array<TokenDocument|Token|Actor>|Object} targets - Documents, or a target description
+ *   { target: 'controlled'|'folder'|'compendium', folderId?, includeSubfolders?, packId? }
+ * @param {Object} [options] - { preset?, frameData?, force?, signal?, onProgress? }
+ * @returns {Promise<{total: number, succeeded: number, failures: Object[], cancelled: boolean}>}
+ */
+async function batchFrame(targets, options = {}) {
+  const documents = Array.isArray(targets) ? targets : await getBatchTargets(targets);
+  return batchFrameDocuments(documents, options);
+}
+
+/**
+ * Create the API object
+ */
+export function createApi() {
+  return {
+    frameToken: frameTokenDocument,
+    frameActor: frameActorPrototype,
+    restore,
+    renderBlob,
+    renderDataUrl,
+    getFramedPath: (baseImage, frameData, options) => getFramedPathForImage(
+      baseImage, { ...frameData, enabled: true }, options
+    ),
+    regenerateAll: () => regenerateAllFrames(),
+    listPresets: async () => getPresets(),
+    applyPreset,
+    batchFrame
+  };
+}
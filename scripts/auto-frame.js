@@ -0,0 +1,219 @@
+/**
+ * Token Framer - Auto-Frame Rules
+ * Frames new tokens that have no frame settings of their own, using the preset of the
+ * first rule that matches their actor type, disposition, folder or name/image pattern.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { FRAME_DATA_VERSION } from './migration.js';
+import { getPresets, getPreset } from './presets.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * A rule with every criterion set to "any"
+ */
+function createRule() {
+  return {
+    id: foundry.utils.randomID(),
+    enabled: true,
+    actorType: '',
+    disposition: '',
+    folderId: '',
+    pattern: '',
+    presetId: ''
+  };
+}
+
+/**
+ * Get the configured rules, in priority order
+ * @returns {Array<Object>}
+ */
+export function getAutoFrameRules() {
+  return game.settings.get(MODULE_ID, 'autoFrameRules') ?? [];
+}
+
+/**
+ * Test a name/path pattern: /regex/flags, or a case-insensitive glob where * matches anything
+ */
+function matchesPattern(pattern, values) {
+  let regex;
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (regexMatch) {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } else {
+      const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      regex = new RegExp(`^${escaped}$`, 'i');
+    }
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Invalid auto-frame pattern "${pattern}":`, err);
+    return false;
+  }
+  return values.some(value => value && regex.test(value));
+}
+
+/**
+ * Check one rule against a token being created. Empty criteria match anything.
+ */
+function ruleMatches(rule, tokenDoc) {
+  const actor = tokenDoc.actor;
+  if (rule.actorType && actor?.type !== rule.actorType) return false;
+  if (rule.disposition !== '' && rule.disposition !== undefined
+      && tokenDoc.disposition !== Number(rule.disposition)) return false;
+
+  if (rule.folderId) {
+    const folder = actor?.folder;
+    if (!folder) return false;
+    if (folder.id !== rule.folderId && !folder.ancestors.some(f => f.id === rule.folderId)) return false;
+  }
+
+  if (rule.pattern) {
+    const values = [actor?.name, tokenDoc.name, tokenDoc.texture?.src];
+    if (!matchesPattern(rule.pattern, values)) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the first enabled rule that matches a token
+ * @param {TokenDocument} tokenDoc
+ * @returns {Object|null}
+ */
+export function findAutoFrameRule(tokenDoc) {
+  return getAutoFrameRules().find(rule => rule.enabled && rule.presetId && ruleMatches(rule, tokenDoc)) ?? null;
+}
+
+/**
+ * Get the frameData a new token should receive from the auto-frame rules
+ * @param {TokenDocument} tokenDoc - Token being created
+ * @returns {Object|null} Null if no rule applies
+ */
+export function getAutoFrameData(tokenDoc) {
+  const rule = findAutoFrameRule(tokenDoc);
+  if (!rule) return null;
+
+  const preset = getPreset(rule.presetId);
+  if (!preset) {
+    debugLog('Auto-frame rule points to a missing preset:', rule.presetId);
+    return null;
+  }
+
+  debugLog(`Auto-framing ${tokenDoc.name} with preset ${preset.name}`);
+  return {
+    ...preset.frameData,
+    presetId: preset.id,
+    enabled: true,
+    schemaVersion: FRAME_DATA_VERSION
+  };
+}
+
+/**
+ * Settings menu for editing the ordered list of auto-frame rules
+ */
+export class AutoFrameRulesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'token-framer-auto-frame',
+    tag: 'form',
+    classes: ['token-framer-auto-frame'],
+    window: {
+      title: 'TOKEN-FRAMER.AutoFrame.Title',
+      icon: 'fas fa-wand-magic-sparkles',
+      resizable: true
+    },
+    position: { width: 760, height: 'auto' },
+    form: {
+      handler: AutoFrameRulesConfig.#onSubmit,
+      closeOnSubmit: true
+    },
+    actions: {
+      addRule: AutoFrameRulesConfig.#onAddRule,
+      deleteRule: AutoFrameRulesConfig.#onDeleteRule,
+      moveRuleUp: AutoFrameRulesConfig.#onMoveRule,
+      moveRuleDown: AutoFrameRulesConfig.#onMoveRule
+    }
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/auto-frame-rules.hbs` }
+  };
+
+  /** Working copy of the rules, saved on submit */
+  #rules = null;
+
+  /** @override */
+  async _prepareContext() {
+    this.#rules ??= foundry.utils.deepClone(getAutoFrameRules());
+
+    const actorTypes = Object.entries(CONFIG.Actor.typeLabels ?? {})
+      .filter(([type]) => type !== CONST.BASE_DOCUMENT_TYPE)
+      .map(([type, label]) => ({ value: type, label: game.i18n.localize(label) }));
+    const dispositions = Object.entries(CONST.TOKEN_DISPOSITIONS)
+      .map(([key, value]) => ({ value: String(value), label: game.i18n.localize(`TOKEN.DISPOSITION.${key}`) }));
+    const folders = game.folders.filter(folder => folder.type === 'Actor')
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(folder => ({ value: folder.id, label: folder.name }));
+    const presets = getPresets().map(preset => ({ value: preset.id, label: preset.name }));
+
+    return {
+      rules: this.#rules.map((rule, index) => ({
+        ...rule,
+        index,
+        disposition: rule.disposition === '' || rule.disposition === undefined ? '' : String(rule.disposition),
+        first: index === 0,
+        last: index === this.#rules.length - 1
+      })),
+      actorTypes,
+      dispositions,
+      folders,
+      presets
+    };
+  }
+
+  /**
+   * Read the form back into the working copy, so reordering keeps unsaved edits
+   */
+  #syncFromForm() {
+    if (!this.element) return;
+    const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    const rows = Object.values(data.rules ?? {});
+    this.#rules = this.#rules.map((rule, index) => ({ ...rule, ...rows[index] }));
+  }
+
+  /**
+   * Save the rules
+   */
+  static async #onSubmit() {
+    this.#syncFromForm();
+    const rules = this.#rules.map(rule => ({
+      ...rule,
+      disposition: rule.disposition === '' ? '' : Number(rule.disposition),
+      pattern: rule.pattern?.trim() ?? ''
+    }));
+    await game.settings.set(MODULE_ID, 'autoFrameRules', rules);
+    debugLog('Saved auto-frame rules:', rules.length);
+  }
+
+  static #onAddRule() {
+    this.#syncFromForm();
+    this.#rules.push(createRule());
+    this.render();
+  }
+
+  static #onDeleteRule(event, target) {
+    this.#syncFromForm();
+    const index = Number(target.closest('[data-rule-index]').dataset.ruleIndex);
+    this.#rules.splice(index, 1);
+    this.render();
+  }
+
+  static #onMoveRule(event, target) {
+    this.#syncFromForm();
+    const index = Number(target.closest('[data-rule-index]').dataset.ruleIndex);
+    const newIndex = target.dataset.action === 'moveRuleUp' ? index - 1 : index + 1;
+    if (newIndex < 0 || newIndex >= this.#rules.length) return;
+    [this.#rules[index], this.#rules[newIndex]] = [this.#rules[newIndex], this.#rules[index]];
+    this.render();
+  }
+}
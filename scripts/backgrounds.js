@@ -0,0 +1,248 @@
+/**
+ * Token Framer - Background Editor
+ * Background type picker and gradient stop list, shared by the Token Config section and the
+ * Frame Studio. Only the fields the chosen type uses are shown (see BACKGROUND_FIELDS). Like
+ * layers, the gradient stops are submitted as JSON text in a hidden frameData.bgStops input.
+ * The color can be sampled from the preview with the eyedropper, or suggested from the token art.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { BACKGROUND_FIELDS, resolveGradientStops, isVideoPath, loadImage, loadVideo } from './compositor.js';
+import { toHexColor } from './preview-editor.js';
+
+/**
+ * Size the base image is reduced to before its colors are analysed
+ */
+const ANALYSIS_SIZE = 64;
+
+/**
+ * Alpha (0-255) from which a pixel counts as opaque when analysing the base image
+ */
+const OPAQUE_ALPHA = 200;
+
+/**
+ * Turn submitted gradient stops into an array before an update is saved
+ * @param {Object} [moduleFlags] - The module's flags inside an update's changes
+ */
+export function normalizeBackgroundChanges(moduleFlags) {
+  const frameData = moduleFlags?.frameData;
+  if (frameData && 'bgStops' in frameData) frameData.bgStops = resolveGradientStops(frameData.bgStops, frameData.bgColor);
+}
+
+/**
+ * Suggest a background color for a base image
+ * If most of the image's outer edge is opaque (a square portrait), its average edge color
+ * continues the art into the transparent corners. Otherwise (a cut-out on transparency) the
+ * image's dominant color is used.
+ * @param {string} baseImagePath - Image or video (its first frame is analysed)
+ * @returns {Promise<string>} #rrggbb
+ */
+export async function suggestBackgroundColor(baseImagePath) {
+  const source = isVideoPath(baseImagePath) ? await loadVideo(baseImagePath) : await loadImage(baseImagePath);
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = ANALYSIS_SIZE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+  const pixels = ctx.getImageData(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE).data;
+
+  const edge = { r: 0, g: 0, b: 0, count: 0, total: 0 };
+  const buckets = new Map();
+  for (let y = 0; y < ANALYSIS_SIZE; y++) {
+    for (let x = 0; x < ANALYSIS_SIZE; x++) {
+      const i = (y * ANALYSIS_SIZE + x) * 4;
+      const [r, g, b, a] = [pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]];
+      const isEdge = x < 2 || y < 2 || x >= ANALYSIS_SIZE - 2 || y >= ANALYSIS_SIZE - 2;
+      if (isEdge) edge.total++;
+      if (a < OPAQUE_ALPHA) continue;
+
+      if (isEdge) {
+        edge.r += r;
+        edge.g += g;
+        edge.b += b;
+        edge.count++;
+      }
+      // Group similar colors (4 bits per channel) and keep their sums to average the winner
+      const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+      const bucket = buckets.get(key) ?? { r: 0, g: 0, b: 0, count: 0 };
+      bucket.r += r;
+      bucket.g += g;
+      bucket.b += b;
+      bucket.count++;
+      buckets.set(key, bucket);
+    }
+  }
+
+  if (edge.count >= edge.total / 2) {
+    debugLog('Background suggestion from edge pixels:', baseImagePath);
+    return toHexColor(edge.r / edge.count, edge.g / edge.count, edge.b / edge.count);
+  }
+  let dominant = null;
+  for (const bucket of buckets.values()) {
+    if (!dominant || bucket.count > dominant.count) dominant = bucket;
+  }
+  debugLog('Background suggestion from dominant color:', baseImagePath);
+  return dominant ? toHexColor(dominant.r / dominant.count, dominant.g / dominant.count, dominant.b / dominant.count) : '#000000';
+}
+
+/**
+ * Put a color into an editor's bgColor field, switching the background on and to a solid color
+ * The fields fire their usual events, so the preview and color text follow.
+ * @param {HTMLElement} editor
+ * @param {string} color - #rrggbb
+ */
+export function setBackgroundColor(editor, color) {
+  const field = (key) => editor.querySelector(`[name="flags.${MODULE_ID}.frameData.${key}"]`);
+  const enabled = field('bgEnabled');
+  if (enabled && !enabled.checked) {
+    enabled.checked = true;
+    enabled.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  const type = field('bgType');
+  if (type && type.value !== 'color') {
+    type.value = 'color';
+    type.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  const picker = field('bgColor');
+  if (!picker) return;
+  picker.value = color;
+  picker.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Background type options for a select
+ * @param {string} selectedType
+ */
+export function getBackgroundTypeOptions(selectedType) {
+  return Object.keys(BACKGROUND_FIELDS).map(type => ({
+    value: type,
+    label: `TOKEN-FRAMER.Background.Types.${type}`,
+    selected: type === selectedType
+  }));
+}
+
+/**
+ * Render the rows for a list of gradient stops
+ * @param {Array<{color: string, position: number}>} stops - Resolved stops (see resolveGradientStops)
+ * @returns {Promise<string>} HTML for the editor's .tfl-bg-stop-list
+ */
+export async function renderStopRows(stops) {
+  const rows = await Promise.all(stops.map(stop => foundry.applications.handlebars.renderTemplate(
+    `modules/${MODULE_ID}/templates/background-stop.hbs`,
+    { color: stop.color, percent: Math.round(stop.position * 100) }
+  )));
+  return rows.join('');
+}
+
+/**
+ * Read an editor's stop rows back into gradient stops
+ * @param {HTMLElement} editor - Element containing the .tfl-bg-stop-list
+ * @returns {Array<{color: string, position: number}>}
+ */
+export function readGradientStops(editor) {
+  const rows = editor?.querySelectorAll('.tfl-bg-stop') ?? [];
+  return resolveGradientStops(Array.from(rows, row => ({
+    color: row.querySelector('[data-field="color"]').value,
+    position: (parseFloat(row.querySelector('[data-field="position"]').value) || 0) / 100
+  })));
+}
+
+/**
+ * Show only the fields the selected background type uses
+ */
+function updateBackgroundFields(editor) {
+  const type = editor.querySelector(`select[name="flags.${MODULE_ID}.frameData.bgType"]`)?.value ?? 'color';
+  for (const field of editor.querySelectorAll('[data-bg-field]')) {
+    field.hidden = !BACKGROUND_FIELDS[type]?.includes(field.dataset.bgField);
+  }
+}
+
+/**
+ * Copy the stop rows into the hidden input the form submits
+ */
+function syncStopsField(editor) {
+  const input = editor.querySelector(`input[name="flags.${MODULE_ID}.frameData.bgStops"]`);
+  if (input) input.value = JSON.stringify(readGradientStops(editor));
+}
+
+/**
+ * Replace the stop rows and show the fields for a background type (used when loading presets)
+ * @param {HTMLElement} editor
+ * @param {Object} frameData - Settings whose bgStops are shown
+ */
+export async function setBackgroundEditor(editor, frameData) {
+  const list = editor?.querySelector('.tfl-bg-stop-list');
+  if (!list) return;
+  list.innerHTML = await renderStopRows(resolveGradientStops(frameData.bgStops, frameData.bgColor));
+  syncStopsField(editor);
+  updateBackgroundFields(editor);
+}
+
+/**
+ * Wire up a background editor: type changes, gradient stops, the eyedropper and the Auto button
+ * @param {HTMLElement} editor - Element containing the bgType select, the [data-bg-field] fields and the stop list
+ * @param {function(): void} onChange - Called after the type or a stop changes
+ * @param {Object} [options]
+ * @param {Object} [options.preview] - Preview editing controls (see activatePreviewEditing), for the eyedropper
+ * @param {function(): string} [options.getBaseImage] - Current base image, for the Auto button
+ */
+export function activateBackgroundEditor(editor, onChange, { preview, getBaseImage } = {}) {
+  if (!editor) return;
+  const list = editor.querySelector('.tfl-bg-stop-list');
+
+  const eyedropper = editor.querySelector('.tfl-bg-eyedropper');
+  eyedropper?.addEventListener('click', async () => {
+    if (!preview) return;
+    if (eyedropper.classList.contains('active')) {
+      preview.cancelPickColor();
+      return;
+    }
+    eyedropper.classList.add('active');
+    const color = await preview.pickColor();
+    eyedropper.classList.remove('active');
+    if (color) setBackgroundColor(editor, color);
+  });
+
+  editor.querySelector('.tfl-bg-auto')?.addEventListener('click', async () => {
+    const baseImage = getBaseImage?.();
+    if (!baseImage) return;
+    try {
+      setBackgroundColor(editor, await suggestBackgroundColor(baseImage));
+    } catch (err) {
+      console.error(`${MODULE_ID} | Background suggestion failed:`, err);
+      ui.notifications.warn(game.i18n.localize('TOKEN-FRAMER.Background.AutoFailed'));
+    }
+  });
+
+  const stopsChanged = () => {
+    syncStopsField(editor);
+    onChange();
+  };
+
+  editor.querySelector(`select[name="flags.${MODULE_ID}.frameData.bgType"]`)?.addEventListener('change', () => {
+    updateBackgroundFields(editor);
+    onChange();
+  });
+
+  editor.querySelector('.tfl-bg-stop-add')?.addEventListener('click', async () => {
+    // New stops go halfway between the last two, in the last stop's color
+    const stops = readGradientStops(editor);
+    const [previous, last] = stops.slice(-2);
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = await renderStopRows([{ color: last.color, position: (previous.position + last.position) / 2 }]);
+    list.lastElementChild.before(...wrapper.children);
+    stopsChanged();
+  });
+
+  list?.addEventListener('input', stopsChanged);
+  list?.addEventListener('change', stopsChanged);
+  list?.addEventListener('click', (event) => {
+    const row = event.target.closest('.tfl-bg-stop-delete')?.closest('.tfl-bg-stop');
+    // A gradient needs two stops
+    if (!row || list.children.length <= 2) return;
+    row.remove();
+    stopsChanged();
+  });
+
+  updateBackgroundFields(editor);
+}
@@ -0,0 +1,281 @@
+/**
+ * Token Framer - Batch Framing
+ * Frames many documents in one go: the controlled tokens, every actor in a folder,
+ * or every actor in a compendium pack.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { frameTokenDocument, frameActorPrototype } from './frame-layer.js';
+import { getPresets, getPreset } from './presets.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Collect the documents a batch should frame
+ * @param {Object} targets
+ * @param {string} targets.target - 'controlled', 'folder' or 'compendium'
+ * @param {string} [targets.folderId] - Actor folder (target 'folder')
+ * @param {boolean} [targets.includeSubfolders=true] - Also frame actors in nested folders
+ * @param {string} [targets.packId] - Actor compendium collection id (target 'compendium')
+ * @returns {Promise<Array<TokenDocument|Actor>>}
+ */
+export async function getBatchTargets({ target, folderId, includeSubfolders = true, packId }) {
+  switch (target) {
+    case 'controlled':
+      return canvas.tokens?.controlled.map(token => token.document) ?? [];
+
+    case 'folder': {
+      const folder = game.folders.get(folderId);
+      if (folder?.type !== 'Actor') return [];
+      const folders = includeSubfolders ? [folder, ...folder.getSubfolders(true)] : [folder];
+      return folders.flatMap(f => f.contents);
+    }
+
+    case 'compendium': {
+      const pack = game.packs.get(packId);
+      if (pack?.documentName !== 'Actor') return [];
+      if (pack.locked) {
+        throw new Error(game.i18n.format('TOKEN-FRAMER.Batch.PackLocked', { pack: pack.title }));
+      }
+      return pack.getDocuments();
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Frame a list of placed tokens and/or actor prototype tokens, one after another
+ * A failure on one document is recorded and the batch moves on.
+ * @param {Array<TokenDocument|Token|Actor>} documents
+ * @param {Object} [options]
+ * @param {string} [options.preset] - Preset id or name to apply (documents stay linked to it)
+ * @param {Object} [options.frameData] - Settings to apply on top of each document's current frameData
+ * @param {boolean} [options.force=false] - Re-render even if an identical cached file exists
+ * @param {AbortSignal} [options.signal] - Stops the batch before the next document
+ * @param {function(Object): void} [options.onProgress] - Called after each document with
+ *   { done, total, document, error }
+ * @returns {Promise<{total: number, succeeded: number, failures: Array<{name: string, uuid: string, error: string}>, cancelled: boolean}>}
+ */
+export async function batchFrameDocuments(documents, { preset, frameData = {}, force = false, signal, onProgress } = {}) {
+  let batchFrameData = frameData;
+  if (preset) {
+    const presetData = getPreset(preset);
+    if (!presetData) throw new Error(game.i18n.format('TOKEN-FRAMER.Presets.NotFound', { name: preset }));
+    batchFrameData = { ...presetData.frameData, ...frameData, presetId: presetData.id };
+  }
+
+  const result = { total: documents.length, succeeded: 0, failures: [], cancelled: false };
+  debugLog(`Batch framing ${documents.length} documents`);
+
+  for (const [index, entry] of documents.entries()) {
+    if (signal?.aborted) {
+      result.cancelled = true;
+      break;
+    }
+
+    const doc = entry.document ?? entry;
+    let error = null;
+    try {
+      const path = doc.documentName === 'Actor'
+        ? await frameActorPrototype(doc, batchFrameData, { force })
+        : await frameTokenDocument(doc, batchFrameData, { force });
+      if (!path) throw new Error(game.i18n.localize('TOKEN-FRAMER.Batch.RenderFailed'));
+      result.succeeded++;
+    } catch (err) {
+      console.error(`${MODULE_ID} | Batch framing failed for ${doc.name}:`, err);
+      error = err.message;
+      result.failures.push({ name: doc.name, uuid: doc.uuid, error });
+    }
+
+    onProgress?.({ done: index + 1, total: documents.length, document: doc, error });
+  }
+
+  debugLog(`Batch framing finished: ${result.succeeded}/${result.total} succeeded`);
+  return result;
+}
+
+/**
+ * Dialog for choosing a batch target and frame, with progress, failures and cancel
+ */
+export class BatchFramer extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'token-framer-batch',
+    tag: 'form',
+    classes: ['token-framer-batch'],
+    window: {
+      title: 'TOKEN-FRAMER.Batch.Title',
+      icon: 'fas fa-images',
+      resizable: true
+    },
+    position: { width: 480, height: 'auto' },
+    form: {
+      handler: BatchFramer.#onSubmit,
+      closeOnSubmit: false
+    },
+    actions: {
+      cancelBatch: BatchFramer.#onCancel
+    }
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/batch-frame.hbs` }
+  };
+
+  /** Aborts the running batch */
+  #abortController = null;
+
+  /** @override */
+  async _prepareContext() {
+    const folders = game.folders.filter(folder => folder.type === 'Actor')
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(folder => ({ id: folder.id, name: folder.name }));
+    const packs = game.packs.filter(pack => pack.documentName === 'Actor')
+      .map(pack => ({ id: pack.collection, title: pack.title, locked: pack.locked }));
+    const controlledCount = canvas.tokens?.controlled.length ?? 0;
+
+    return {
+      target: controlledCount ? 'controlled' : 'folder',
+      controlledCount,
+      folders,
+      packs,
+      presets: getPresets()
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const targetSelect = this.element.querySelector('select[name="target"]');
+    const showTargetFields = () => {
+      for (const group of this.element.querySelectorAll('[data-batch-target]')) {
+        group.hidden = group.dataset.batchTarget !== targetSelect.value;
+      }
+    };
+    targetSelect.addEventListener('change', showTargetFields);
+    showTargetFields();
+
+    const presetSelect = this.element.querySelector('select[name="preset"]');
+    const showFrameFields = () => {
+      this.element.querySelector('.tfl-batch-frame-fields').hidden = !!presetSelect.value;
+    };
+    presetSelect.addEventListener('change', showFrameFields);
+    showFrameFields();
+  }
+
+  /** @override */
+  _canRender(options) {
+    // Re-rendering would wipe the progress display of a running batch
+    if (this.#abortController && this.rendered) return false;
+    return super._canRender(options);
+  }
+
+  /**
+   * Start the batch
+   */
+  static async #onSubmit(event, form, formData) {
+    if (this.#abortController) return;
+    const data = formData.object;
+
+    let documents;
+    try {
+      documents = await getBatchTargets(data);
+    } catch (err) {
+      ui.notifications.error(err.message);
+      return;
+    }
+    if (!documents.length) {
+      ui.notifications.warn(game.i18n.localize('TOKEN-FRAMER.Batch.NoTargets'));
+      return;
+    }
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('TOKEN-FRAMER.Batch.Title'),
+      content: `<p>${game.i18n.format('TOKEN-FRAMER.Batch.Confirm', { count: documents.length })}</p>`
+    });
+    if (!confirmed) return;
+
+    const frameData = {};
+    if (!data.preset) {
+      if (data.frameImage) frameData.frameImage = data.frameImage;
+      if (data.maskImage) frameData.maskImage = data.maskImage;
+    }
+
+    this.#abortController = new AbortController();
+    this.#setRunning(true);
+    this.#updateProgress({ done: 0, total: documents.length });
+
+    try {
+      const result = await batchFrameDocuments(documents, {
+        preset: data.preset || undefined,
+        frameData,
+        force: data.force,
+        signal: this.#abortController.signal,
+        onProgress: (progress) => this.#updateProgress(progress)
+      });
+      const key = result.cancelled ? 'TOKEN-FRAMER.Batch.Cancelled' : 'TOKEN-FRAMER.Batch.Complete';
+      const message = game.i18n.format(key, {
+        succeeded: result.succeeded,
+        failed: result.failures.length,
+        total: result.total
+      });
+      this.#setStatus(message);
+      if (result.failures.length) ui.notifications.warn(message);
+      else ui.notifications.info(message);
+    } catch (err) {
+      ui.notifications.error(err.message);
+      this.#setStatus(err.message);
+    } finally {
+      this.#abortController = null;
+      this.#setRunning(false);
+    }
+  }
+
+  /**
+   * Stop the running batch after the current document
+   */
+  static #onCancel() {
+    this.#abortController?.abort();
+    this.#setStatus(game.i18n.localize('TOKEN-FRAMER.Batch.Cancelling'));
+  }
+
+  /**
+   * Lock the form while a batch runs and swap Start for Cancel
+   */
+  #setRunning(running) {
+    this.element.querySelector('.tfl-batch-options').disabled = running;
+    this.element.querySelector('button[type="submit"]').hidden = running;
+    this.element.querySelector('[data-action="cancelBatch"]').hidden = !running;
+  }
+
+  /**
+   * Show a status line under the progress bar
+   */
+  #setStatus(message) {
+    this.element.querySelector('.tfl-batch-status').textContent = message;
+  }
+
+  /**
+   * Advance the progress bar and list any failure
+   */
+  #updateProgress({ done, total, document: doc, error }) {
+    const section = this.element.querySelector('.tfl-batch-progress');
+    section.hidden = false;
+
+    const bar = section.querySelector('progress');
+    bar.max = total;
+    bar.value = done;
+    this.#setStatus(game.i18n.format('TOKEN-FRAMER.Batch.Progress', { done, total }));
+
+    const failureList = section.querySelector('.tfl-batch-failures');
+    if (done === 0) failureList.replaceChildren();
+    if (error) {
+      const item = document.createElement('li');
+      item.textContent = `${doc.name}: ${error}`;
+      failureList.appendChild(item);
+      failureList.hidden = false;
+    }
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Token Framer - Cache Cleanup
+ * Finds cached frame images that no token, actor or TVA config references anymore.
+ * Foundry gives modules no way to delete files, so the GM removes them by hand; the scan itself
+ * changes nothing.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { getCacheFolder } from './frame-layer.js';
+import { loadManifest, pruneManifest, toFileName } from './cache-manifest.js';
+import { VARIANT_OVERRIDE_KEYS } from './variants.js';
+
+// Matches cached frame file names anywhere inside serialized document data
+const CACHE_FILE_PATTERN = /frame_[A-Za-z0-9_-]+\.(?:webp|png|avif|webm)/g;
+
+/**
+ * Collect the file names of every cached frame referenced in the world
+ * Scans serialized data rather than known fields, so TVA's per-art configs are covered
+ * regardless of which property they keep the path in.
+ * @returns {Promise<Set<string>>}
+ */
+async function collectReferencedFiles() {
+  const referenced = new Set();
+  const scan = (data) => {
+    if (!data) return;
+    const json = typeof data === 'string' ? data : JSON.stringify(data);
+    for (const match of json.matchAll(CACHE_FILE_PATTERN)) {
+      referenced.add(toFileName(match[0]));
+    }
+  };
+
+  // Placed tokens in every scene (includes unlinked actor deltas)
+  for (const scene of game.scenes) {
+    for (const tokenDoc of scene.tokens) scan(tokenDoc.toObject());
+  }
+
+  // Actor prototype tokens, plus TVA variant flags stored on the actor
+  for (const actor of game.actors) {
+    scan(actor.prototypeToken.toObject());
+    scan(actor.flags?.['token-variants']);
+  }
+
+  // Actor compendiums (batch framing can frame their prototype tokens)
+  for (const pack of game.packs.filter(p => p.documentName === 'Actor')) {
+    try {
+      const index = await pack.getIndex({
+        fields: ['prototypeToken.texture.src', `prototypeToken.flags.${MODULE_ID}`]
+      });
+      for (const entry of index) scan(entry.prototypeToken);
+    } catch (err) {
+      debugLog('Could not read compendium index:', pack.collection, err);
+    }
+  }
+
+  // TVA per-art token configurations
+  if (game.modules.get('token-variants')?.active) {
+    try {
+      scan(game.settings.get('token-variants', 'tokenConfigs'));
+    } catch (err) {
+      debugLog('Could not read TVA token configs:', err);
+    }
+  }
+
+  return referenced;
+}
+
+/**
+ * Add the renders of every other frame variant of the referenced files
+ * Renders for inactive variants are kept so switching back reuses them. They share an owner, the
+ * base image, the output settings and every setting a variant can't override with a render
+ * the owner currently shows.
+ * @param {Set<string>} referenced - Referenced file names, extended in place
+ * @param {Object} manifest
+ */
+function addVariantRenders(referenced, manifest) {
+  const signature = (entry) => JSON.stringify({
+    baseImage: entry.baseImage,
+    render: entry.render,
+    frameData: Object.entries(entry.frameData)
+      .filter(([key]) => !VARIANT_OVERRIDE_KEYS.includes(key))
+      .sort(([a], [b]) => a.localeCompare(b))
+  });
+
+  const liveByOwner = new Map();
+  for (const name of referenced) {
+    const entry = manifest.files[name];
+    if (!entry?.frameData) continue;
+    for (const owner of entry.owners ?? []) {
+      if (!liveByOwner.has(owner)) liveByOwner.set(owner, new Set());
+      liveByOwner.get(owner).add(signature(entry));
+    }
+  }
+
+  for (const [name, entry] of Object.entries(manifest.files)) {
+    if (referenced.has(name) || !entry?.frameData) continue;
+    const key = signature(entry);
+    if ((entry.owners ?? []).some(owner => liveByOwner.get(owner)?.has(key))) referenced.add(name);
+  }
+}
+
+/**
+ * List the cached images in the cache folder
+ * @param {string} folder
+ * @returns {Promise<Array<string>>} Paths of the files (empty if the folder doesn't exist)
+ */
+async function browseCacheFolder(folder) {
+  const FilePicker = foundry.applications.apps.FilePicker.implementation;
+  try {
+    const result = await FilePicker.browse('data', folder, { extensions: ['.webp', '.png', '.avif', '.webm'] });
+    return result.files ?? [];
+  } catch (err) {
+    debugLog('Cache folder not found:', folder);
+    return [];
+  }
+}
+
+/**
+ * Get the size of a file on the server in bytes (null if unknown)
+ */
+async function getFileSize(path) {
+  try {
+    const response = await fetch(path, { method: 'HEAD', cache: 'no-store' });
+    const length = response.headers.get('Content-Length');
+    return length ? Number(length) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '?';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Scan the cache folder and return every unreferenced cached frame
+ * Read-only - neither the files nor the manifest are changed.
+ * @returns {Promise<{folder: string, scanned: number, orphans: Array<{path: string, name: string, size: number|null, baseImage: string|null}>}>}
+ */
+export async function findOrphanedCacheFiles() {
+  const folder = getCacheFolder();
+  const files = await browseCacheFolder(folder);
+  const referenced = await collectReferencedFiles();
+  const manifest = await loadManifest({ refresh: true });
+  addVariantRenders(referenced, manifest);
+  const orphans = [];
+
+  for (const path of files) {
+    const name = toFileName(path);
+    if (!name.startsWith('frame_') || referenced.has(name)) continue;
+    const baseImage = manifest.files[name]?.baseImage ?? null;
+    orphans.push({ path, name, size: await getFileSize(path), baseImage });
+  }
+
+  return { folder, scanned: files.length, orphans };
+}
+
+/**
+ * Check which of the listed files the GM has deleted, and drop the manifest entries of every
+ * file no longer in the cache folder
+ * @param {string} folder
+ * @param {Array<{name: string}>} orphans - Files from the scan
+ * @returns {Promise<number>} How many of the listed files are gone
+ */
+async function confirmRemoval(folder, orphans) {
+  const existing = new Set((await browseCacheFolder(folder)).map(toFileName));
+  const removed = orphans.filter(file => !existing.has(file.name)).length;
+  // An empty listing may be a failed browse - never prune the whole manifest on it
+  if (!existing.size) return removed;
+
+  try {
+    const pruned = await pruneManifest(existing);
+    if (pruned) debugLog(`Pruned ${pruned} stale manifest entries`);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Failed to prune cache manifest:`, err);
+  }
+  return removed;
+}
+
+/**
+ * Run the cleanup scan and show the results to the GM
+ * The report is a dry run. The GM deletes the listed files by hand (Export List saves their
+ * paths), then confirms the removal so the manifest forgets them.
+ */
+export async function cleanupCache() {
+  if (!game.user.isGM) return;
+
+  ui.notifications.info(game.i18n.localize('TOKEN-FRAMER.Cleanup.Scanning'));
+  const { folder, scanned, orphans } = await findOrphanedCacheFiles();
+
+  if (!orphans.length) {
+    ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Cleanup.NoneFound', { count: scanned }));
+    return;
+  }
+
+  const totalBytes = orphans.reduce((sum, file) => sum + (file.size ?? 0), 0);
+  const content = await foundry.applications.handlebars.renderTemplate(
+    `modules/${MODULE_ID}/templates/cache-cleanup.hbs`,
+    {
+      folder,
+      scanned,
+      count: orphans.length,
+      totalSize: formatBytes(totalBytes),
+      files: orphans.map(file => ({ name: file.name, size: formatBytes(file.size), baseImage: file.baseImage }))
+    }
+  );
+
+  // Exporting keeps the report open, so the GM can confirm once the files are deleted
+  let action;
+  do {
+    action = await Dialog.wait({
+      title: game.i18n.localize('TOKEN-FRAMER.Cleanup.Title'),
+      content,
+      buttons: {
+        export: {
+          icon: '<i class="fas fa-file-export"></i>',
+          label: game.i18n.localize('TOKEN-FRAMER.Cleanup.Export'),
+          callback: () => 'export'
+        },
+        confirm: {
+          icon: '<i class="fas fa-check"></i>',
+          label: game.i18n.localize('TOKEN-FRAMER.Cleanup.ConfirmRemoval'),
+          callback: () => 'confirm'
+        },
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize('TOKEN-FRAMER.Cleanup.Close'),
+          callback: () => null
+        }
+      },
+      default: 'close',
+      close: () => null
+    }, { width: 480 });
+
+    if (action === 'export') {
+      const list = orphans.map(file => decodeURIComponent(file.path)).join('\n');
+      foundry.utils.saveDataToFile(list, 'text/plain', `token-framer-orphans-${game.world.id}.txt`);
+    }
+  } while (action === 'export');
+
+  if (action !== 'confirm') return;
+  const confirmed = await Dialog.confirm({
+    title: game.i18n.localize('TOKEN-FRAMER.Cleanup.Title'),
+    content: `<p>${game.i18n.localize('TOKEN-FRAMER.Cleanup.ConfirmRemovalPrompt')}</p>`
+  });
+  if (!confirmed) return;
+
+  const removed = await confirmRemoval(folder, orphans);
+  ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Cleanup.Removed', {
+    removed, count: orphans.length, remaining: orphans.length - removed
+  }));
+}
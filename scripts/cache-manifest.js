@@ -0,0 +1,206 @@
+/**
+ * Token Framer - Cache Manifest
+ * Keeps a JSON file in the cache folder recording where every cached image came from,
+ * so the original base image can be recovered from any cached path.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { getCacheFolder, uploadToCacheFolder } from './frame-layer.js';
+
+const MANIFEST_FILE = 'token-framer-manifest.json';
+const MANIFEST_VERSION = 1;
+const SAVE_DEBOUNCE_MS = 1000;
+
+// In-memory copy of the manifest: { version, files: { [fileName]: entry } }
+let manifest = null;
+let loadPromise = null;
+
+// Entries recorded since the last save, merged into the server copy on write
+const pendingEntries = new Map();
+let saveTimer = null;
+
+/**
+ * Reduce a path or URL to its decoded file name
+ */
+export function toFileName(path) {
+  const name = path.split('?')[0].split('/').pop();
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
+
+/**
+ * An empty manifest
+ */
+function createManifest() {
+  return { version: MANIFEST_VERSION, files: {} };
+}
+
+/**
+ * Fetch the manifest from the server (empty manifest only if the file doesn't exist)
+ * Throws on any other failure, so an unreadable manifest is never overwritten with an empty one.
+ */
+async function fetchManifest() {
+  const response = await fetch(`${getCacheFolder()}/${MANIFEST_FILE}`, { cache: 'no-store' });
+  if (response.status === 404) {
+    debugLog('No cache manifest found, starting a new one');
+    return createManifest();
+  }
+  if (!response.ok) throw new Error(`Cache manifest request failed (${response.status} ${response.statusText})`);
+  const data = await response.json();
+  if (!data?.files) throw new Error('Cache manifest has no file list');
+  return data;
+}
+
+/**
+ * Load the manifest once per session
+ * If the server copy can't be read, an empty stand-in is returned and the manifest stays
+ * unloaded, so the next call tries again.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Re-read the server copy
+ * @returns {Promise<Object>}
+ */
+export async function loadManifest({ refresh = false } = {}) {
+  if (refresh) {
+    manifest = null;
+    loadPromise = null;
+  }
+  if (manifest) return manifest;
+  loadPromise ??= fetchManifest()
+    .then(data => (manifest = data))
+    .catch(err => {
+      console.error(`${MODULE_ID} | Failed to load cache manifest:`, err);
+      loadPromise = null;
+      return createManifest();
+    });
+  return loadPromise;
+}
+
+/**
+ * Merge two entries for the same file, keeping the union of owners
+ */
+function mergeEntry(existing, incoming) {
+  if (!existing) return incoming;
+  const owners = new Set([...(existing.owners ?? []), ...(incoming.owners ?? [])]);
+  return { ...existing, ...incoming, createdAt: incoming.createdAt ?? existing.createdAt, owners: [...owners] };
+}
+
+/**
+ * Record a cached file in the manifest
+ * Writes are batched and merged with the server copy, so concurrent clients don't clobber each other.
+ * @param {string} fileName - Cached file name (e.g. frame_abc123.webp or frame_abc123.webm)
+ * @param {Object} entry
+ * @param {string} [entry.baseImage] - Unframed source image
+ * @param {Object} [entry.frameData] - Full frame configuration used for the render
+ * @param {Object} [entry.render] - Output settings (resolution, quality, format)
+ * @param {number} [entry.createdAt] - Render timestamp
+ * @param {string[]} [entry.owners] - UUIDs of documents using the file
+ */
+export function recordCacheEntry(fileName, entry) {
+  pendingEntries.set(fileName, mergeEntry(pendingEntries.get(fileName), entry));
+  if (manifest) manifest.files[fileName] = mergeEntry(manifest.files[fileName], entry);
+
+  if (saveTimer) clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    flushManifest();
+  }, SAVE_DEBOUNCE_MS);
+}
+
+/**
+ * Add an owning document to an existing entry (used when a render is reused)
+ */
+export function addCacheOwner(fileName, ownerUuid) {
+  if (!ownerUuid) return;
+  if (manifest?.files[fileName]?.owners?.includes(ownerUuid)) return;
+  recordCacheEntry(fileName, { owners: [ownerUuid] });
+}
+
+/**
+ * Write pending entries to the server
+ */
+export async function flushManifest() {
+  if (!pendingEntries.size) return;
+  if (!game.user.can('FILES_UPLOAD')) {
+    pendingEntries.clear();
+    return;
+  }
+
+  const entries = new Map(pendingEntries);
+  pendingEntries.clear();
+
+  let data;
+  try {
+    data = await fetchManifest();
+  } catch (err) {
+    // Skip the write rather than replace a manifest we couldn't read - keep the entries for the next one
+    console.error(`${MODULE_ID} | Failed to read cache manifest, not saving:`, err);
+    for (const [fileName, entry] of entries) {
+      pendingEntries.set(fileName, mergeEntry(entry, pendingEntries.get(fileName) ?? {}));
+    }
+    return;
+  }
+
+  try {
+    for (const [fileName, entry] of entries) {
+      data.files[fileName] = mergeEntry(data.files[fileName], entry);
+    }
+    data.version = MANIFEST_VERSION;
+    await writeManifest(data);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Failed to update cache manifest:`, err);
+  }
+}
+
+/**
+ * Upload a full manifest and make it the in-memory copy
+ */
+async function writeManifest(data) {
+  const file = new File([JSON.stringify(data, null, 2)], MANIFEST_FILE, { type: 'application/json' });
+  await uploadToCacheFolder(file);
+  manifest = data;
+  debugLog('Cache manifest saved,', Object.keys(data.files).length, 'entries');
+}
+
+/**
+ * Get the manifest entry for a cached path
+ * @param {string} path - Cached file path (query strings are ignored)
+ * @returns {Promise<Object|null>}
+ */
+export async function getCacheEntry(path) {
+  if (!path) return null;
+  const fileName = toFileName(path);
+  let data = await loadManifest();
+
+  // Another client may have rendered the file since we loaded the manifest
+  if (!data.files[fileName]) data = await loadManifest({ refresh: true });
+  return data.files[fileName] ?? null;
+}
+
+/**
+ * Recover the original base image for a cached path
+ * @param {string} path
+ * @returns {Promise<string|null>}
+ */
+export async function recoverOriginalImage(path) {
+  const entry = await getCacheEntry(path);
+  return entry?.baseImage ?? null;
+}
+
+/**
+ * Drop entries for files that no longer exist in the cache folder
+ * @param {Set<string>} existingFiles - File names currently in the folder
+ * @throws If the server copy can't be read
+ */
+export async function pruneManifest(existingFiles) {
+  const data = await fetchManifest();
+  const stale = Object.keys(data.files).filter(name => !existingFiles.has(name));
+  if (!stale.length) return 0;
+
+  for (const name of stale) delete data.files[name];
+  await writeManifest(data);
+  return stale.length;
+}
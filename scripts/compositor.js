@@ -0,0 +1,1067 @@
+/**
+ * Token Framer - Compositing Engine
+ * Single drawing pipeline shared by the live preview and the cache generator,
+ * so what you see in the Token Config is exactly what gets saved.
+ * Has no Foundry or DOM dependencies when run in a worker: canvases become OffscreenCanvas
+ * and images are loaded as ImageBitmap.
+ */
+
+/**
+ * Offsets in frameData are stored in "reference pixels" on a canvas of this size.
+ * The compositor scales them to the actual output size, making them resolution-independent.
+ */
+export const OFFSET_REFERENCE_SIZE = 1000;
+
+/**
+ * Default values for every frameData property that affects the rendered image
+ */
+export const FRAME_DEFAULTS = {
+  frameImage: '',
+  maskImage: '',
+  baseScale: 0.9,
+  baseOffsetX: 0,
+  baseOffsetY: 0,
+  baseFit: 'cover',
+  baseAnchor: 'top',
+  baseRotation: 0,
+  baseFlipX: false,
+  baseFlipY: false,
+  maskRadius: 0.95,
+  maskScale: 1.0,
+  maskOffsetX: 0,
+  maskOffsetY: 0,
+  maskShape: 'circle',
+  maskExpand: 0,
+  maskAspect: 1.0,
+  maskCornerRadius: 0.25,
+  maskMode: 'luminance',
+  maskInvert: false,
+  maskFeather: 0,
+  outputAspect: 1.0,
+  frameScale: 1.0,
+  frameSlice: 'stretch',
+  frameSliceTop: 0.25,
+  frameSliceRight: 0.25,
+  frameSliceBottom: 0.25,
+  frameSliceLeft: 0.25,
+  frameSliceEdges: 'stretch',
+  frameOffsetX: 0,
+  frameOffsetY: 0,
+  frameHue: 0,
+  frameSaturation: 1.0,
+  frameBrightness: 1.0,
+  frameTint: '#ffffff',
+  frameTintStrength: 0,
+  frameTintDisposition: false,
+  frameGlow: 0,
+  frameGlowColor: '#ffd700',
+  baseGrayscale: 0,
+  bgEnabled: false,
+  bgColor: '#000000',
+  bgType: 'color',
+  bgStops: null,
+  bgAngle: 180,
+  bgImage: '',
+  bgScale: 1.0,
+  bgOffsetX: 0,
+  bgOffsetY: 0,
+  bgBlur: 20,
+  layers: null
+};
+
+/**
+ * Get the pixel size of the output for a width:height ratio (see resolveTokenAspect)
+ * The longer side is `size`, so reference pixels (offsets) always count along it.
+ * @param {number} size - Output size in pixels
+ * @param {number} [aspect=1] - outputAspect
+ * @returns {{width: number, height: number}}
+ */
+export function getOutputSize(size, aspect = 1) {
+  if (!(aspect > 0) || aspect === 1) return { width: size, height: size };
+  return aspect > 1
+    ? { width: size, height: Math.max(1, Math.round(size / aspect)) }
+    : { width: Math.max(1, Math.round(size * aspect)), height: size };
+}
+
+/**
+ * How the base image is sized within its box (baseScale times the output)
+ * cover: fills the box, cropping the overflow. contain: fits inside the box. fill: stretched to
+ * the box. native: the image's own pixels on a 1000px token, times baseScale.
+ */
+export const BASE_FITS = ['cover', 'contain', 'fill', 'native'];
+
+/**
+ * Points of the box the base image is aligned to, as horizontal and vertical fractions (0-1)
+ * The default, top, keeps portraits' faces in view and centers landscape images.
+ */
+export const BASE_ANCHORS = {
+  topLeft: [0, 0],
+  top: [0.5, 0],
+  topRight: [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  bottomLeft: [0, 1],
+  bottom: [0.5, 1],
+  bottomRight: [1, 1]
+};
+
+/**
+ * Token mask shapes, used when no mask image is set, and the frameData properties each one uses
+ * circle: a circle of maskRadius (an ellipse on non-square output). The other parametric shapes
+ * fill the box around that circle, stretched to a width:height ratio of maskAspect; roundedRect
+ * rounds its corners by maskCornerRadius (0-1, of its shorter half side). auto: the opening of
+ * the frame image, found by flood-filling its transparent pixels from the center and grown by
+ * maskExpand reference pixels (shrunk if negative). Frames whose center is opaque have no opening
+ * to find and fall back to the circle.
+ */
+export const MASK_SHAPE_FIELDS = {
+  circle: ['maskRadius'],
+  ellipse: ['maskRadius', 'maskAspect'],
+  square: ['maskRadius', 'maskAspect'],
+  roundedRect: ['maskRadius', 'maskAspect', 'maskCornerRadius'],
+  hexagonPointy: ['maskRadius', 'maskAspect'],
+  hexagonFlat: ['maskRadius', 'maskAspect'],
+  octagon: ['maskRadius', 'maskAspect'],
+  auto: ['maskExpand']
+};
+
+export const MASK_SHAPES = Object.keys(MASK_SHAPE_FIELDS);
+
+/**
+ * How a mask image is read: its luminance (white = visible) or its alpha channel (opaque = visible)
+ * Any mask can also be inverted with maskInvert and softened with maskFeather (reference pixels).
+ */
+export const MASK_MODES = ['luminance', 'alpha'];
+
+/**
+ * How the frame image fills its box, and the frameData properties each mode uses
+ * stretch: the whole image is scaled to the box. nineSlice: the image is cut by the
+ * frameSlice* insets (0-0.5, fractions of the image's width or height); the corners keep their
+ * proportions and the edges and center fill the rest, stretched or tiled (frameSliceEdges).
+ * The auto mask shape is sliced the same way, so it keeps following the frame's opening.
+ */
+export const FRAME_SLICE_FIELDS = {
+  stretch: [],
+  nineSlice: ['frameSliceTop', 'frameSliceRight', 'frameSliceBottom', 'frameSliceLeft', 'frameSliceEdges']
+};
+
+export const FRAME_SLICE_MODES = Object.keys(FRAME_SLICE_FIELDS);
+
+/**
+ * How a nine-slice frame fills its edges and center: stretched, or repeated a whole number of times
+ */
+export const FRAME_SLICE_EDGES = ['stretch', 'tile'];
+
+/**
+ * Background types and the frameData properties each one uses
+ * color: solid bgColor. linear/radial: gradient through bgStops (linear runs at bgAngle degrees,
+ * CSS-style, radial spreads from the offset center to bgScale times the token radius).
+ * pattern: bgImage tiled at bgScale. image: bgImage covering bgScale times the token.
+ * blur: a blurred copy of the base image covering bgScale times the token.
+ */
+export const BACKGROUND_FIELDS = {
+  color: ['bgColor'],
+  linear: ['bgStops', 'bgAngle'],
+  radial: ['bgStops', 'bgScale', 'bgOffsetX', 'bgOffsetY'],
+  pattern: ['bgImage', 'bgScale', 'bgOffsetX', 'bgOffsetY'],
+  image: ['bgImage', 'bgScale', 'bgOffsetX', 'bgOffsetY'],
+  blur: ['bgScale', 'bgOffsetX', 'bgOffsetY', 'bgBlur']
+};
+
+/**
+ * Read gradient stops as {color, position} sorted by position (0-1)
+ * Accepts the JSON text the config sheets submit and index-keyed objects from form processing.
+ * Fewer than two stops fall back to a gradient from white to bgColor.
+ * @param {Array|Object|string|null} value
+ * @param {string} [fallbackColor] - Last color of the fallback gradient
+ * @returns {Array<{color: string, position: number}>}
+ */
+export function resolveGradientStops(value, fallbackColor = FRAME_DEFAULTS.bgColor) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      value = null;
+    }
+  }
+  const entries = Array.isArray(value) ? value : Object.values(value ?? {});
+  const stops = entries
+    .filter(stop => typeof stop?.color === 'string' && Number.isFinite(parseFloat(stop.position)))
+    .map(stop => ({ color: stop.color.trim(), position: Math.min(1, Math.max(0, parseFloat(stop.position))) }))
+    .sort((a, b) => a.position - b.position);
+  if (stops.length >= 2) return stops;
+  return [{ color: '#ffffff', position: 0 }, { color: fallbackColor, position: 1 }];
+}
+
+/**
+ * Canvas blend modes a layer can use (globalCompositeOperation values)
+ */
+export const BLEND_MODES = [
+  'source-over', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
+
+/**
+ * How an image layer is masked: not at all, by the token's mask (its mask image or shape), or by its own mask image
+ */
+export const LAYER_MASKS = ['none', 'token', 'image'];
+
+/**
+ * Default values for one entry of frameData.layers
+ * The 'base' layer draws the background and token art and the 'frame' layer the frame image, both
+ * placed by the base and frame settings. 'image' layers draw their own image, fitted into a square
+ * of `scale` times the token's shorter side.
+ */
+export const LAYER_DEFAULTS = {
+  type: 'image',
+  image: '',
+  blendMode: 'source-over',
+  opacity: 1,
+  scale: 1,
+  offsetX: 0,
+  offsetY: 0,
+  mask: 'none',
+  maskImage: ''
+};
+
+/**
+ * The fixed pipeline frames used before layer stacks: token art, then the frame on top.
+ * frameData without a layers property (everything saved before them) renders with this stack.
+ */
+export const DEFAULT_LAYERS = [{ type: 'base' }, { type: 'frame' }];
+
+/**
+ * Read a layer stack as complete layers in draw order (first is drawn first, at the bottom)
+ * Accepts the JSON text the config sheets submit and index-keyed objects from form processing.
+ * The base and frame layers always appear exactly once.
+ * @param {Array|Object|string|null} value
+ * @returns {Array<Object>}
+ */
+export function resolveLayers(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      value = null;
+    }
+  }
+  const entries = Array.isArray(value) ? value : Object.values(value ?? DEFAULT_LAYERS);
+
+  const layers = [];
+  for (const entry of entries) {
+    if (!entry || !['base', 'frame', 'image'].includes(entry.type)) continue;
+    if (entry.type !== 'image' && layers.some(layer => layer.type === entry.type)) continue;
+
+    const layer = { ...LAYER_DEFAULTS };
+    for (const [key, fallback] of Object.entries(LAYER_DEFAULTS)) {
+      if (typeof fallback === 'number') {
+        const number = parseFloat(entry[key]);
+        if (Number.isFinite(number)) layer[key] = number;
+      } else if (typeof entry[key] === 'string') {
+        layer[key] = entry[key].trim();
+      }
+    }
+    if (!BLEND_MODES.includes(layer.blendMode)) layer.blendMode = LAYER_DEFAULTS.blendMode;
+    if (!LAYER_MASKS.includes(layer.mask)) layer.mask = LAYER_DEFAULTS.mask;
+    layer.opacity = Math.min(1, Math.max(0, layer.opacity));
+    layers.push(layer);
+  }
+
+  if (!layers.some(layer => layer.type === 'base')) layers.unshift({ ...LAYER_DEFAULTS, type: 'base' });
+  if (!layers.some(layer => layer.type === 'frame')) layers.push({ ...LAYER_DEFAULTS, type: 'frame' });
+  return layers;
+}
+
+/**
+ * Fill in defaults for any missing render property
+ * @param {Object} frameData
+ * @returns {Object} Every key of FRAME_DEFAULTS, plus any extra keys from frameData
+ */
+export function resolveFrameData(frameData = {}) {
+  const resolved = { ...FRAME_DEFAULTS };
+  for (const [key, value] of Object.entries(frameData)) {
+    if (value !== undefined && value !== null) resolved[key] = value;
+  }
+  if (!BASE_FITS.includes(resolved.baseFit)) resolved.baseFit = FRAME_DEFAULTS.baseFit;
+  if (!BASE_ANCHORS[resolved.baseAnchor]) resolved.baseAnchor = FRAME_DEFAULTS.baseAnchor;
+  if (!MASK_SHAPES.includes(resolved.maskShape)) resolved.maskShape = FRAME_DEFAULTS.maskShape;
+  if (!MASK_MODES.includes(resolved.maskMode)) resolved.maskMode = FRAME_DEFAULTS.maskMode;
+  if (!FRAME_SLICE_MODES.includes(resolved.frameSlice)) resolved.frameSlice = FRAME_DEFAULTS.frameSlice;
+  if (!FRAME_SLICE_EDGES.includes(resolved.frameSliceEdges)) resolved.frameSliceEdges = FRAME_DEFAULTS.frameSliceEdges;
+  for (const key of FRAME_SLICE_FIELDS.nineSlice.filter(key => key !== 'frameSliceEdges')) {
+    resolved[key] = Math.min(0.5, Math.max(0, parseFloat(resolved[key]) || 0));
+  }
+  if (!BACKGROUND_FIELDS[resolved.bgType]) resolved.bgType = FRAME_DEFAULTS.bgType;
+  resolved.bgStops = resolveGradientStops(resolved.bgStops, resolved.bgColor);
+  resolved.layers = resolveLayers(resolved.layers);
+  return resolved;
+}
+
+/**
+ * Load an image and return as HTMLImageElement (ImageBitmap inside a worker)
+ */
+export function loadImage(src) {
+  if (typeof Image === 'undefined') return loadImageBitmap(src);
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+    img.src = src;
+  });
+}
+
+// Relative image paths resolve against the Foundry page, not the location of a worker script
+let imageBaseUrl = globalThis.document?.baseURI ?? globalThis.location?.href;
+
+/**
+ * Set the URL relative image paths are fetched from (used by the render worker)
+ * @param {string} url
+ */
+export function setImageBaseUrl(url) {
+  imageBaseUrl = url;
+}
+
+/**
+ * Fetch an image and decode it to an ImageBitmap
+ */
+async function loadImageBitmap(src) {
+  const response = await fetch(new URL(src, imageBaseUrl));
+  if (!response.ok) throw new Error(`Failed to load image: ${src}`);
+  return createImageBitmap(await response.blob());
+}
+
+/**
+ * Check if a path points to a video file
+ */
+export function isVideoPath(src) {
+  const extension = src?.split('?')[0].split('.').pop().toLowerCase();
+  const videoExtensions = globalThis.CONST?.VIDEO_FILE_EXTENSIONS ?? {};
+  return !!extension && extension in videoExtensions;
+}
+
+/**
+ * Load a video and return as HTMLVideoElement, paused on its first frame
+ */
+export function loadVideo(src) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => resolve(video);
+    video.onerror = () => reject(new Error(`Failed to load video: ${src}`));
+    video.src = src;
+  });
+}
+
+/**
+ * Load a base image, which may be a still image or a video
+ */
+function loadBaseSource(src) {
+  return isVideoPath(src) ? loadVideo(src) : loadImage(src);
+}
+
+/**
+ * Get the intrinsic size of anything drawImage accepts
+ */
+function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.displayWidth || source.naturalWidth || source.width,
+    height: source.videoHeight || source.displayHeight || source.naturalHeight || source.height
+  };
+}
+
+/**
+ * Create a canvas of the given size (OffscreenCanvas inside a worker)
+ */
+function createCanvas(width, height = width) {
+  if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Apply hue, saturation, brightness and tint to the frame image
+ * @returns {CanvasImageSource} The recolored frame, or the original image if nothing changes
+ */
+function recolorFrame(frameImg, { frameHue, frameSaturation, frameBrightness, frameTint, frameTintStrength }) {
+  const adjusted = frameHue !== 0 || frameSaturation !== 1 || frameBrightness !== 1;
+  const tinted = !!frameTint && frameTintStrength > 0;
+  if (!adjusted && !tinted) return frameImg;
+
+  const { width, height } = getSourceSize(frameImg);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  if (adjusted) {
+    ctx.filter = `hue-rotate(${frameHue}deg) saturate(${frameSaturation}) brightness(${frameBrightness})`;
+  }
+  ctx.drawImage(frameImg, 0, 0, width, height);
+  ctx.filter = 'none';
+
+  if (tinted) {
+    // 'color' blending keeps the frame's shading and takes hue and saturation from the tint
+    ctx.globalCompositeOperation = 'color';
+    ctx.globalAlpha = Math.min(frameTintStrength, 1);
+    ctx.fillStyle = frameTint;
+    ctx.fillRect(0, 0, width, height);
+
+    // The fill also covered transparent pixels - cut it back to the frame's own alpha
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(frameImg, 0, 0, width, height);
+  }
+  return canvas;
+}
+
+/**
+ * Draw a mask image onto a new canvas and turn its luminosity into alpha (white = visible, black = hidden)
+ * @param {CanvasImageSource} maskImg
+ * @param {{width: number, height: number}} output - Canvas size
+ * @param {{x: number, y: number, width: number, height: number}} rect - Where to draw the mask
+ * @param {string} [mode] - One of MASK_MODES; 'alpha' keeps the image's own alpha as the mask
+ */
+function createLuminanceMask(maskImg, output, { x, y, width, height }, mode = 'luminance') {
+  const maskCanvas = createCanvas(output.width, output.height);
+  const maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+  maskCtx.drawImage(maskImg, x, y, width, height);
+  if (mode === 'alpha') return maskCanvas;
+
+  const maskData = maskCtx.getImageData(0, 0, output.width, output.height);
+  const pixels = maskData.data;
+  for (let i = 0; i < pixels.length; i += 4) {
+    const luminosity = (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+    pixels[i + 3] = Math.min(pixels[i + 3], luminosity);
+  }
+  maskCtx.putImageData(maskData, 0, 0);
+  return maskCanvas;
+}
+
+/**
+ * Largest side, in pixels, a frame image is reduced to before its opening is measured
+ */
+const HOLE_FIELD_SIZE = 512;
+
+/**
+ * Alpha (0-255) below which a frame pixel can be part of its opening
+ */
+const HOLE_ALPHA = 128;
+
+/**
+ * Frame openings already measured (see measureFrameHole), by frame image path
+ * Oldest entries are dropped past HOLE_CACHE_LIMIT.
+ */
+const holeFields = new Map();
+const HOLE_CACHE_LIMIT = 32;
+
+/**
+ * Approximate the distance from every pixel to the nearest target pixel (two-pass chamfer)
+ * @param {Uint8Array} targets - 1 for target pixels
+ * @returns {Float32Array} 0 on target pixels, Infinity if there are none
+ */
+function distanceTo(targets, width, height) {
+  const distance = new Float32Array(width * height);
+  for (let i = 0; i < distance.length; i++) distance[i] = targets[i] ? 0 : Infinity;
+
+  // Forward pass from the top left, then a backward pass from the bottom right
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let d = distance[i];
+      if (x > 0) d = Math.min(d, distance[i - 1] + 1);
+      if (y > 0) {
+        d = Math.min(d, distance[i - width] + 1);
+        if (x > 0) d = Math.min(d, distance[i - width - 1] + Math.SQRT2);
+        if (x < width - 1) d = Math.min(d, distance[i - width + 1] + Math.SQRT2);
+      }
+      distance[i] = d;
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = y * width + x;
+      let d = distance[i];
+      if (x < width - 1) d = Math.min(d, distance[i + 1] + 1);
+      if (y < height - 1) {
+        d = Math.min(d, distance[i + width] + 1);
+        if (x < width - 1) d = Math.min(d, distance[i + width + 1] + Math.SQRT2);
+        if (x > 0) d = Math.min(d, distance[i + width - 1] + Math.SQRT2);
+      }
+      distance[i] = d;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Find the opening of a frame image: the transparent pixels connected to its center
+ * @param {CanvasImageSource} frameImg
+ * @returns {{width: number, height: number, distance: Float32Array}|null} Distance field of the
+ *   opening in pixels of the reduced image: 0 or less inside (deeper is more negative), the
+ *   distance to the opening outside. Null if the frame's center is opaque.
+ */
+function measureFrameHole(frameImg) {
+  const source = getSourceSize(frameImg);
+  const fit = Math.min(1, HOLE_FIELD_SIZE / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * fit));
+  const height = Math.max(1, Math.round(source.height * fit));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(frameImg, 0, 0, width, height);
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+
+  const start = Math.floor(height / 2) * width + Math.floor(width / 2);
+  if (pixels[start * 4 + 3] >= HOLE_ALPHA) return null;
+
+  // Flood fill - every pixel is queued at most once
+  const hole = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let queued = 0;
+  const visit = (i) => {
+    if (hole[i] || pixels[i * 4 + 3] >= HOLE_ALPHA) return;
+    hole[i] = 1;
+    queue[queued++] = i;
+  };
+  visit(start);
+  for (let next = 0; next < queued; next++) {
+    const i = queue[next];
+    const x = i % width;
+    if (x > 0) visit(i - 1);
+    if (x < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i < hole.length - width) visit(i + width);
+  }
+
+  const outside = distanceTo(hole, width, height);
+  const inside = distanceTo(hole.map(value => 1 - value), width, height);
+  const distance = new Float32Array(width * height);
+  for (let i = 0; i < distance.length; i++) distance[i] = hole[i] ? 1 - inside[i] : outside[i];
+  return { width, height, distance };
+}
+
+/**
+ * Get a frame's opening, measuring it on first use
+ * @param {string} frameImage - Path, used as the cache key
+ * @param {CanvasImageSource} frameImg - The loaded (unrecolored) frame image
+ */
+function getFrameHole(frameImage, frameImg) {
+  if (!holeFields.has(frameImage)) {
+    holeFields.set(frameImage, measureFrameHole(frameImg));
+    if (holeFields.size > HOLE_CACHE_LIMIT) holeFields.delete(holeFields.keys().next().value);
+  }
+  return holeFields.get(frameImage);
+}
+
+/**
+ * Turn a frame's opening into a mask canvas (opaque = visible) at the opening's resolution
+ * @param {{width: number, height: number, distance: Float32Array}} hole - See measureFrameHole
+ * @param {number} expand - Pixels of the reduced image to grow the opening by (shrinks if negative)
+ */
+function createHoleMask({ width, height, distance }, expand) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const maskData = ctx.createImageData(width, height);
+  const pixels = maskData.data;
+  for (let i = 0; i < distance.length; i++) {
+    // One pixel of falloff keeps the edge from looking jagged once scaled up
+    const coverage = Math.min(1, Math.max(0, expand + 1 - distance[i]));
+    pixels[i * 4] = pixels[i * 4 + 1] = pixels[i * 4 + 2] = 255;
+    pixels[i * 4 + 3] = coverage * 255;
+  }
+  ctx.putImageData(maskData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Sides and first corner angle of the polygon mask shapes
+ */
+const MASK_POLYGONS = {
+  hexagonPointy: [6, -Math.PI / 2],
+  hexagonFlat: [6, 0],
+  octagon: [8, Math.PI / 8]
+};
+
+/**
+ * Trace a parametric mask shape (see MASK_SHAPE_FIELDS) as the context's current path
+ * Shapes other than the circle fill the box around it, stretched to the aspect ratio.
+ * @param {CanvasRenderingContext2D} shapeCtx
+ * @param {string} shape
+ * @param {{x: number, y: number, radiusX: number, radiusY: number, aspect: number, cornerRadius: number}} geometry -
+ *   Center and radii of the circle in pixels, width:height ratio and corner rounding (0-1)
+ */
+function traceMaskShape(shapeCtx, shape, { x, y, radiusX, radiusY, aspect, cornerRadius }) {
+  const halfWidth = radiusX * Math.min(1, aspect);
+  const halfHeight = radiusY * Math.min(1, 1 / aspect);
+  shapeCtx.beginPath();
+  switch (shape) {
+    case 'ellipse':
+      shapeCtx.ellipse(x, y, halfWidth, halfHeight, 0, 0, Math.PI * 2);
+      break;
+    case 'square':
+      shapeCtx.rect(x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2);
+      break;
+    case 'roundedRect':
+      shapeCtx.roundRect(
+        x - halfWidth, y - halfHeight, halfWidth * 2, halfHeight * 2,
+        Math.min(halfWidth, halfHeight) * Math.min(1, Math.max(0, cornerRadius))
+      );
+      break;
+    case 'hexagonPointy':
+    case 'hexagonFlat':
+    case 'octagon': {
+      // Corners on a unit circle, then stretched so the polygon's extent fills the box
+      const [sides, startAngle] = MASK_POLYGONS[shape];
+      const corners = Array.from({ length: sides }, (_, i) => {
+        const angle = startAngle + i * 2 * Math.PI / sides;
+        return [Math.cos(angle), Math.sin(angle)];
+      });
+      const extentX = Math.max(...corners.map(([cornerX]) => Math.abs(cornerX)));
+      const extentY = Math.max(...corners.map(([, cornerY]) => Math.abs(cornerY)));
+      for (const [cornerX, cornerY] of corners) {
+        shapeCtx.lineTo(x + cornerX / extentX * halfWidth, y + cornerY / extentY * halfHeight);
+      }
+      shapeCtx.closePath();
+      break;
+    }
+    default:
+      shapeCtx.ellipse(x, y, radiusX, radiusY, 0, 0, Math.PI * 2);
+  }
+}
+
+/**
+ * Most tiles a nine-slice edge or center is repeated along one axis
+ */
+const MAX_SLICE_TILES = 64;
+
+/**
+ * Draw an image into a box as a nine-slice (see FRAME_SLICE_FIELDS)
+ * The corners are scaled as much as the image would be if fitted into the box, so they keep
+ * their proportions; the edges and center are stretched or tiled into the space between them.
+ * @param {CanvasImageSource} img
+ * @param {number} width - Box width in pixels
+ * @param {number} height - Box height in pixels
+ * @param {{top: number, right: number, bottom: number, left: number, edges: string}} slice -
+ *   Insets as fractions of the image's size, and one of FRAME_SLICE_EDGES
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function sliceImage(img, width, height, { top, right, bottom, left, edges }) {
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+  const source = getSourceSize(img);
+  const scale = Math.min(width / source.width, height / source.height);
+  const canvas = createCanvas(width, height);
+  const sliceCtx = canvas.getContext('2d');
+
+  // Cut lines in the image and in the box
+  const sourceX = [0, left * source.width, source.width - right * source.width, source.width];
+  const sourceY = [0, top * source.height, source.height - bottom * source.height, source.height];
+  const boxX = [0, Math.round(left * source.width * scale), width - Math.round(right * source.width * scale), width];
+  const boxY = [0, Math.round(top * source.height * scale), height - Math.round(bottom * source.height * scale), height];
+
+  for (let row = 0; row < 3; row++) {
+    for (let column = 0; column < 3; column++) {
+      const sw = sourceX[column + 1] - sourceX[column];
+      const sh = sourceY[row + 1] - sourceY[row];
+      const dw = boxX[column + 1] - boxX[column];
+      const dh = boxY[row + 1] - boxY[row];
+      if (sw <= 0 || sh <= 0 || dw <= 0 || dh <= 0) continue;
+
+      // Corners come out at their own size, so tiling only repeats the edges and center
+      const tilesX = edges === 'tile' ? Math.min(MAX_SLICE_TILES, Math.max(1, Math.round(dw / (sw * scale)))) : 1;
+      const tilesY = edges === 'tile' ? Math.min(MAX_SLICE_TILES, Math.max(1, Math.round(dh / (sh * scale)))) : 1;
+      for (let tileY = 0; tileY < tilesY; tileY++) {
+        for (let tileX = 0; tileX < tilesX; tileX++) {
+          sliceCtx.drawImage(
+            img, sourceX[column], sourceY[row], sw, sh,
+            boxX[column] + dw * tileX / tilesX, boxY[row] + dh * tileY / tilesY, dw / tilesX, dh / tilesY
+          );
+        }
+      }
+    }
+  }
+  return canvas;
+}
+
+/**
+ * Invert and/or soften a mask canvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} maskCanvas
+ * @param {{width: number, height: number}} output - Canvas size
+ * @param {{invert: boolean, feather: number}} options - Feather radius in pixels
+ */
+function refineMask(maskCanvas, output, { invert, feather }) {
+  const refined = createCanvas(output.width, output.height);
+  const refinedCtx = refined.getContext('2d');
+  if (invert) {
+    refinedCtx.fillStyle = '#ffffff';
+    refinedCtx.fillRect(0, 0, output.width, output.height);
+    refinedCtx.globalCompositeOperation = 'destination-out';
+  }
+  if (feather > 0) refinedCtx.filter = `blur(${feather / 2}px)`;
+  refinedCtx.drawImage(maskCanvas, 0, 0);
+  return refined;
+}
+
+/**
+ * Get where an image layer is drawn: fitted into a centered square of layer.scale times the
+ * output's shorter side (keeping its aspect ratio), then offset
+ * @param {{width: number, height: number}} output
+ */
+function getLayerRect(source, { scale, offsetX, offsetY }, output) {
+  const { width, height } = getSourceSize(source);
+  const fit = Math.min(output.width, output.height) * scale / Math.max(width, height);
+  const unit = Math.max(output.width, output.height) / OFFSET_REFERENCE_SIZE;
+  return {
+    x: (output.width - width * fit) / 2 + offsetX * unit,
+    y: (output.height - height * fit) / 2 + offsetY * unit,
+    width: width * fit,
+    height: height * fit
+  };
+}
+
+/**
+ * Get where a source covering a centered box of `scale` times the output is drawn (keeping its aspect ratio)
+ * @param {{width: number, height: number}} output
+ */
+function getCoverRect(source, scale, output, offsetX, offsetY) {
+  const { width, height } = getSourceSize(source);
+  const fit = Math.max(output.width / width, output.height / height) * scale;
+  return {
+    x: (output.width - width * fit) / 2 + offsetX,
+    y: (output.height - height * fit) / 2 + offsetY,
+    width: width * fit,
+    height: height * fit
+  };
+}
+
+/**
+ * Prepare the background fill for a frame configuration (see BACKGROUND_FIELDS)
+ * @param {Object} background - Resolved bg* properties
+ * @param {CanvasImageSource|null} bgImg - Loaded bgImage, for pattern and image backgrounds
+ * @param {{width: number, height: number}} output - Output size in pixels
+ * @returns {function(CanvasRenderingContext2D, CanvasImageSource): void|null} Paints the background, given the base image
+ */
+function createBackgroundPainter({ bgType, bgColor, bgStops, bgAngle, bgScale, bgOffsetX, bgOffsetY, bgBlur }, bgImg, output) {
+  const { width, height } = output;
+  const size = Math.max(width, height);
+  const unit = size / OFFSET_REFERENCE_SIZE;
+  const centerX = width / 2 + bgOffsetX * unit;
+  const centerY = height / 2 + bgOffsetY * unit;
+
+  const fill = (bgCtx, style) => {
+    bgCtx.fillStyle = style;
+    bgCtx.fillRect(0, 0, width, height);
+  };
+  const withStops = (gradient) => {
+    for (const { color, position } of bgStops) gradient.addColorStop(position, color);
+    return gradient;
+  };
+
+  switch (bgType) {
+    case 'linear': {
+      // CSS angles: 0deg runs bottom to top, 90deg left to right, and the line reaches the corners
+      const angle = bgAngle * Math.PI / 180;
+      const dx = Math.sin(angle);
+      const dy = -Math.cos(angle);
+      const half = (width * Math.abs(dx) + height * Math.abs(dy)) / 2;
+      return (bgCtx) => fill(bgCtx, withStops(bgCtx.createLinearGradient(
+        width / 2 - dx * half, height / 2 - dy * half, width / 2 + dx * half, height / 2 + dy * half
+      )));
+    }
+    case 'radial':
+      return (bgCtx) => fill(bgCtx, withStops(
+        bgCtx.createRadialGradient(centerX, centerY, 0, centerX, centerY, size / 2 * bgScale)
+      ));
+    case 'pattern': {
+      if (!bgImg) return null;
+      // Tiles keep their pixel size relative to a 1000px token
+      const transform = new DOMMatrix().translateSelf(bgOffsetX * unit, bgOffsetY * unit).scaleSelf(bgScale * unit);
+      return (bgCtx) => {
+        const pattern = bgCtx.createPattern(bgImg, 'repeat');
+        pattern.setTransform(transform);
+        fill(bgCtx, pattern);
+      };
+    }
+    case 'image': {
+      if (!bgImg) return null;
+      const rect = getCoverRect(bgImg, bgScale, output, bgOffsetX * unit, bgOffsetY * unit);
+      return (bgCtx) => bgCtx.drawImage(bgImg, rect.x, rect.y, rect.width, rect.height);
+    }
+    case 'blur':
+      return (bgCtx, baseSource) => {
+        const rect = getCoverRect(baseSource, bgScale, output, bgOffsetX * unit, bgOffsetY * unit);
+        bgCtx.filter = `blur(${bgBlur * unit}px)`;
+        bgCtx.drawImage(baseSource, rect.x, rect.y, rect.width, rect.height);
+        bgCtx.filter = 'none';
+      };
+    default:
+      return bgColor ? (bgCtx) => fill(bgCtx, bgColor) : null;
+  }
+}
+
+/**
+ * Prepare a reusable compositor for one frame configuration
+ * Loads the frame, masks and image layers once, so animated sources only pay for the per-frame draw.
+ * The output is `size` pixels along its longer side, shaped by frameData.outputAspect; the base
+ * image, mask and frame are laid out for that rectangle (the frame is stretched or nine-sliced to fill it).
+ * @param {Object} frameData - Frame configuration (offsets in reference pixels)
+ * @param {number} size - Output size in pixels (the longer side)
+ * @returns {Promise<{canvas: HTMLCanvasElement|OffscreenCanvas, draw: function(CanvasImageSource): void}>}
+ */
+export async function createCompositor(frameData, size = OFFSET_REFERENCE_SIZE) {
+  const {
+    frameImage, maskImage, baseScale, baseOffsetX, baseOffsetY,
+    baseFit, baseAnchor, baseRotation, baseFlipX, baseFlipY,
+    maskRadius, maskScale, maskOffsetX, maskOffsetY, maskShape, maskExpand,
+    maskAspect, maskCornerRadius, maskMode, maskInvert, maskFeather, outputAspect,
+    frameScale, frameOffsetX, frameOffsetY, frameGlow, frameGlowColor, baseGrayscale,
+    frameSlice, frameSliceTop, frameSliceRight, frameSliceBottom, frameSliceLeft, frameSliceEdges,
+    bgEnabled, bgType, bgImage, bgColor, bgStops, bgAngle, bgScale, bgOffsetX, bgOffsetY, bgBlur,
+    layers, ...frameColor
+  } = resolveFrameData(frameData);
+
+  const output = getOutputSize(size, outputAspect);
+  const { width, height } = output;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  const centerX = width / 2;
+  const centerY = height / 2;
+
+  // Convert reference-pixel offsets to output pixels
+  const unit = size / OFFSET_REFERENCE_SIZE;
+
+  const imageLayers = layers.filter(layer => layer.type === 'image' && layer.image);
+  const usesBgImage = bgEnabled && !!bgImage && BACKGROUND_FIELDS[bgType].includes('bgImage');
+  const [sourceFrameImg, maskImg, bgImg, layerImages] = await Promise.all([
+    loadImage(frameImage),
+    maskImage ? loadImage(maskImage) : null,
+    usesBgImage ? loadImage(bgImage) : null,
+    Promise.all(imageLayers.map(layer => Promise.all([
+      loadImage(layer.image),
+      layer.mask === 'image' && layer.maskImage ? loadImage(layer.maskImage) : null
+    ])))
+  ]);
+  const frameWidth = width * frameScale;
+  const frameHeight = height * frameScale;
+  const slice = frameSlice === 'nineSlice' ? {
+    top: frameSliceTop, right: frameSliceRight, bottom: frameSliceBottom, left: frameSliceLeft, edges: frameSliceEdges
+  } : null;
+  const recoloredFrameImg = recolorFrame(sourceFrameImg, frameColor);
+  const frameImg = slice ? sliceImage(recoloredFrameImg, frameWidth, frameHeight, slice) : recoloredFrameImg;
+  const paintBackground = bgEnabled ? createBackgroundPainter({
+    bgType, bgColor, bgStops, bgAngle, bgScale, bgOffsetX, bgOffsetY, bgBlur
+  }, bgImg, output) : null;
+
+  // Draw the token mask once
+  let maskCanvas = null;
+  let shape = maskShape;
+  if (maskImg) {
+    const maskDrawWidth = width * maskScale;
+    const maskDrawHeight = height * maskScale;
+    maskCanvas = createLuminanceMask(maskImg, output, {
+      x: centerX - maskDrawWidth / 2 + maskOffsetX * unit,
+      y: centerY - maskDrawHeight / 2 + maskOffsetY * unit,
+      width: maskDrawWidth,
+      height: maskDrawHeight
+    }, maskMode);
+  } else if (maskShape === 'auto') {
+    // The opening is laid out like the frame, then scaled and moved by the mask settings
+    const hole = getFrameHole(frameImage, sourceFrameImg);
+    if (hole) {
+      const maskDrawWidth = width * frameScale * maskScale;
+      const maskDrawHeight = height * frameScale * maskScale;
+      const expand = maskExpand * unit * Math.max(hole.width / maskDrawWidth, hole.height / maskDrawHeight);
+      const holeMask = createHoleMask(hole, expand);
+      maskCanvas = createCanvas(width, height);
+      maskCanvas.getContext('2d').drawImage(
+        slice ? sliceImage(holeMask, maskDrawWidth, maskDrawHeight, slice) : holeMask,
+        centerX - maskDrawWidth / 2 + (frameOffsetX + maskOffsetX) * unit,
+        centerY - maskDrawHeight / 2 + (frameOffsetY + maskOffsetY) * unit,
+        maskDrawWidth,
+        maskDrawHeight
+      );
+    } else {
+      shape = 'circle';
+    }
+  }
+
+  const traceShape = (shapeCtx) => traceMaskShape(shapeCtx, shape, {
+    x: centerX + maskOffsetX * unit,
+    y: centerY + maskOffsetY * unit,
+    radiusX: (width / 2) * maskRadius,
+    radiusY: (height / 2) * maskRadius,
+    aspect: maskAspect > 0 ? maskAspect : 1,
+    cornerRadius: maskCornerRadius
+  });
+
+  // A plain shape is a clipping path; inverted or feathered ones need a mask canvas too
+  if (maskInvert || maskFeather > 0) {
+    if (!maskCanvas) {
+      maskCanvas = createCanvas(width, height);
+      const shapeCtx = maskCanvas.getContext('2d');
+      traceShape(shapeCtx);
+      shapeCtx.fillStyle = '#ffffff';
+      shapeCtx.fill();
+    }
+    maskCanvas = refineMask(maskCanvas, output, { invert: maskInvert, feather: maskFeather * unit });
+  }
+
+  /**
+   * Paint onto a scratch canvas, cut to the token mask (the mask image, the frame's opening,
+   * or a parametric shape)
+   */
+  const paintMasked = (target, paint) => {
+    const targetCtx = target.getContext('2d');
+    targetCtx.save();
+    targetCtx.clearRect(0, 0, width, height);
+    if (!maskCanvas) {
+      traceShape(targetCtx);
+      targetCtx.clip();
+    }
+    paint(targetCtx);
+    if (maskCanvas) {
+      targetCtx.globalCompositeOperation = 'destination-in';
+      targetCtx.drawImage(maskCanvas, 0, 0);
+    }
+    targetCtx.restore();
+  };
+
+  // Image layers don't change between frames - masked ones are drawn to their own canvas up front
+  const preparedLayers = new Map();
+  const fullRect = { x: 0, y: 0, width, height };
+  imageLayers.forEach((layer, index) => {
+    const [layerImg, layerMaskImg] = layerImages[index];
+    const rect = getLayerRect(layerImg, layer, output);
+    const paint = (layerCtx) => layerCtx.drawImage(layerImg, rect.x, rect.y, rect.width, rect.height);
+
+    if (layer.mask === 'token') {
+      const layerCanvas = createCanvas(width, height);
+      paintMasked(layerCanvas, paint);
+      preparedLayers.set(layer, { source: layerCanvas, rect: fullRect });
+    } else if (layerMaskImg) {
+      const layerCanvas = createCanvas(width, height);
+      const layerCtx = layerCanvas.getContext('2d');
+      paint(layerCtx);
+      layerCtx.globalCompositeOperation = 'destination-in';
+      layerCtx.drawImage(createLuminanceMask(layerMaskImg, output, rect), 0, 0);
+      preparedLayers.set(layer, { source: layerCanvas, rect: fullRect });
+    } else {
+      preparedLayers.set(layer, { source: layerImg, rect });
+    }
+  });
+
+  // Scratch canvas for background + base before masking
+  const baseCanvas = createCanvas(width, height);
+  const baseFilter = baseGrayscale > 0 ? `grayscale(${Math.min(baseGrayscale, 1)})` : 'none';
+
+  const [anchorX, anchorY] = BASE_ANCHORS[baseAnchor];
+  const flipped = baseFlipX || baseFlipY;
+
+  const drawBase = (baseSource) => {
+    // Size the base image for its fit within a box of baseScale times the output, then align it to the anchor
+    const source = getSourceSize(baseSource);
+    const boxWidth = width * baseScale;
+    const boxHeight = height * baseScale;
+    let baseDrawWidth = boxWidth;
+    let baseDrawHeight = boxHeight;
+    if (baseFit !== 'fill') {
+      const fit = {
+        cover: Math.max(boxWidth / source.width, boxHeight / source.height),
+        contain: Math.min(boxWidth / source.width, boxHeight / source.height),
+        native: unit * baseScale
+      }[baseFit];
+      baseDrawWidth = source.width * fit;
+      baseDrawHeight = source.height * fit;
+    }
+    const baseDrawX = centerX - boxWidth / 2 + (boxWidth - baseDrawWidth) * anchorX + baseOffsetX * unit;
+    const baseDrawY = centerY - boxHeight / 2 + (boxHeight - baseDrawHeight) * anchorY + baseOffsetY * unit;
+
+    paintMasked(baseCanvas, (baseCtx) => {
+      paintBackground?.(baseCtx, baseSource);
+      baseCtx.filter = baseFilter;
+      if (!baseRotation && !flipped) {
+        baseCtx.drawImage(baseSource, baseDrawX, baseDrawY, baseDrawWidth, baseDrawHeight);
+        return;
+      }
+      // Rotate and flip around the image's center
+      baseCtx.save();
+      baseCtx.translate(baseDrawX + baseDrawWidth / 2, baseDrawY + baseDrawHeight / 2);
+      baseCtx.rotate(baseRotation * Math.PI / 180);
+      baseCtx.scale(baseFlipX ? -1 : 1, baseFlipY ? -1 : 1);
+      baseCtx.drawImage(baseSource, -baseDrawWidth / 2, -baseDrawHeight / 2, baseDrawWidth, baseDrawHeight);
+      baseCtx.restore();
+    });
+    ctx.drawImage(baseCanvas, 0, 0);
+  };
+
+  // Draw frame overlay, with an optional glow around its opaque edges
+  const drawFrame = () => {
+    if (frameGlow > 0) {
+      ctx.shadowColor = frameGlowColor;
+      ctx.shadowBlur = frameGlow * unit;
+    }
+    ctx.drawImage(
+      frameImg,
+      centerX - frameWidth / 2 + frameOffsetX * unit,
+      centerY - frameHeight / 2 + frameOffsetY * unit,
+      frameWidth,
+      frameHeight
+    );
+  };
+
+  const draw = (baseSource) => {
+    ctx.clearRect(0, 0, width, height);
+    for (const layer of layers) {
+      ctx.save();
+      ctx.globalCompositeOperation = layer.blendMode;
+      ctx.globalAlpha = layer.opacity;
+      if (layer.type === 'base') {
+        drawBase(baseSource);
+      } else if (layer.type === 'frame') {
+        drawFrame();
+      } else if (preparedLayers.has(layer)) {
+        const { source, rect } = preparedLayers.get(layer);
+        ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height);
+      }
+      ctx.restore();
+    }
+  };
+
+  return { canvas, draw };
+}
+
+/**
+ * Composite the base image with its mask, frame and image layers onto a new canvas
+ * Video sources are drawn from their first frame.
+ * @param {string} baseImagePath - Path to the unframed token image
+ * @param {Object} frameData - Frame configuration (offsets in reference pixels)
+ * @param {number} size - Output size in pixels (the longer side)
+ * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>}
+ */
+export async function renderComposite(baseImagePath, frameData, size = OFFSET_REFERENCE_SIZE) {
+  const [compositor, baseSource] = await Promise.all([
+    createCompositor(frameData, size),
+    loadBaseSource(baseImagePath)
+  ]);
+  compositor.draw(baseSource);
+  return compositor.canvas;
+}
+
+/**
+ * Encode a canvas (or OffscreenCanvas) as an image blob
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {string} type - MIME type
+ * @param {number} quality - 0-1
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))), type, quality);
+  });
+}
@@ -0,0 +1,6 @@
+/**
+ * Token Framer - Constants
+ * Imports nothing, so every module can read these while the others are still loading
+ */
+
+export const MODULE_ID = 'token-framer';
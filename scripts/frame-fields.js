@@ -0,0 +1,81 @@
+/**
+ * Token Framer - Frame Settings Fields
+ * Select options and field wiring shared by the Token Config section and the Frame Studio.
+ * Fields that only some settings use are marked with a data attribute and hidden for the others
+ * (see updateFrameFields).
+ */
+
+import { MODULE_ID } from './constants.js';
+import {
+  MASK_SHAPES, MASK_SHAPE_FIELDS, MASK_MODES, FRAME_SLICE_MODES, FRAME_SLICE_EDGES, BASE_FITS, BASE_ANCHORS
+} from './compositor.js';
+
+/**
+ * Choices of each frameData select: the allowed values and the lang prefix of their labels
+ */
+const SELECT_CHOICES = {
+  baseFit: { values: BASE_FITS, labels: 'TOKEN-FRAMER.Config.BaseFits' },
+  baseAnchor: { values: Object.keys(BASE_ANCHORS), labels: 'TOKEN-FRAMER.Config.BaseAnchors' },
+  maskShape: { values: MASK_SHAPES, labels: 'TOKEN-FRAMER.Config.MaskShapes' },
+  maskMode: { values: MASK_MODES, labels: 'TOKEN-FRAMER.Config.MaskModes' },
+  frameSlice: { values: FRAME_SLICE_MODES, labels: 'TOKEN-FRAMER.Config.FrameSlices' },
+  frameSliceEdges: { values: FRAME_SLICE_EDGES, labels: 'TOKEN-FRAMER.Config.FrameSliceEdgeModes' }
+};
+
+/**
+ * Fields that change which other fields are shown, or that have no input event of their own
+ */
+const CHANGE_KEYS = [
+  'baseFit', 'baseAnchor', 'baseFlipX', 'baseFlipY',
+  'maskShape', 'maskMode', 'maskInvert',
+  'frameSlice', 'frameSliceEdges'
+];
+
+/**
+ * Properties that only some mask shapes use
+ */
+const SHAPE_FIELD_KEYS = new Set(Object.values(MASK_SHAPE_FIELDS).flat());
+
+/**
+ * Options for one of the frameData selects
+ * @param {string} key - frameData property (see SELECT_CHOICES)
+ * @param {string} selected - Current value
+ */
+export function getSelectOptions(key, selected) {
+  const { values, labels } = SELECT_CHOICES[key];
+  return values.map(value => ({ value, label: `${labels}.${value}`, selected: value === selected }));
+}
+
+/**
+ * Show only the fields the current settings use: [data-mask-field] fields for the selected mask
+ * shape, and [data-slice-field] fields in 9-slice mode
+ * @param {HTMLElement} container - Element containing the selects and the fields
+ */
+export function updateFrameFields(container) {
+  const value = (key) => container.querySelector(`select[name="flags.${MODULE_ID}.frameData.${key}"]`)?.value;
+
+  const shape = value('maskShape') ?? 'circle';
+  for (const field of container.querySelectorAll('[data-mask-field]')) {
+    const key = field.dataset.maskField;
+    field.hidden = SHAPE_FIELD_KEYS.has(key) && !MASK_SHAPE_FIELDS[shape]?.includes(key);
+  }
+
+  const sliceMode = value('frameSlice') ?? 'stretch';
+  for (const field of container.querySelectorAll('[data-slice-field]')) field.hidden = sliceMode !== 'nineSlice';
+}
+
+/**
+ * Wire up the fields in CHANGE_KEYS
+ * @param {HTMLElement} container - Element containing the fields
+ * @param {function(): void} onChange - Called after any of them changes
+ */
+export function activateFrameFields(container, onChange) {
+  if (!container) return;
+  for (const key of CHANGE_KEYS) {
+    container.querySelector(`[name="flags.${MODULE_ID}.frameData.${key}"]`)?.addEventListener('change', () => {
+      updateFrameFields(container);
+      onChange();
+    });
+  }
+  updateFrameFields(container);
+}
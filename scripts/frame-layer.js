@@ -4,43 +4,273 @@
  * Then uses that cached image as the token's texture
  */
 
-import { MODULE_ID, debugLog } from './main.js';
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import {
+  resolveFrameData, FRAME_DEFAULTS, LAYER_DEFAULTS, DEFAULT_LAYERS, BACKGROUND_FIELDS, MASK_SHAPE_FIELDS,
+  FRAME_SLICE_FIELDS
+} from './compositor.js';
+import { migrateFrameData, FRAME_DATA_VERSION } from './migration.js';
+import { recordCacheEntry, addCacheOwner, recoverOriginalImage } from './cache-manifest.js';
+import { applyFrameVariant } from './variants.js';
+import { ANIMATED_OUTPUT_FORMAT, canRecordAnimation, isAnimatedSource, renderAnimatedComposite } from './animated-compositor.js';
+import { queueComposite, mapConcurrent } from './render-queue.js';
+import { isRenderer, requestRender } from './socket.js';
 
 // Helper to get the v13 FilePicker implementation
 const getFilePicker = () => foundry.applications.apps.FilePicker.implementation;
 
+// MIME type of cached still images, and the fallback when the chosen format can't be encoded
+const OUTPUT_FORMAT = 'image/webp';
+
+// MIME type of each still image format the cacheFormat setting and frameData.outputFormat can name
+export const OUTPUT_FORMATS = {
+  webp: 'image/webp',
+  png: 'image/png',
+  avif: 'image/avif'
+};
+
+// File extension for each output format
+const FORMAT_EXTENSIONS = {
+  'image/webp': 'webp',
+  'image/png': 'png',
+  'image/avif': 'avif',
+  'video/webm': 'webm'
+};
+
+// Bounds of automatic resolutions, in pixels
+const AUTO_RESOLUTION_MIN = 64;
+const AUTO_RESOLUTION_MAX = 4096;
+
+// Whether this browser can encode each still format, by MIME type
+const encodableFormats = new Map();
+
+// Cache files confirmed to exist during this session
+const knownCacheFiles = new Set();
+
+// Cache renders in progress, by path, so concurrent requests for one file upload it once
+const pendingCacheRenders = new Map();
+
 // Notification suppression state - handles concurrent uploads
 let notificationSuppressionCount = 0;
 let originalNotificationInfo = null;
 
 /**
  * Get frame data from token flags
- * @param {Token} token 
+ * @param {Token|TokenDocument} token 
  * @returns {Object} Frame configuration data
  */
 export function getFrameData(token) {
-  return token.document.getFlag(MODULE_ID, 'frameData') ?? {};
+  return migrateFrameData((token.document ?? token).getFlag(MODULE_ID, 'frameData') ?? {});
+}
+
+/**
+ * Fast non-cryptographic string hash (cyrb53, run with two seeds for a 106-bit digest)
+ * crypto.subtle is unavailable when Foundry is served over plain HTTP, so we hash in JS.
+ */
+function hashString(str) {
+  const cyrb53 = (seed) => {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  };
+  return cyrb53(0) + cyrb53(0x9e3779b9);
+}
+
+/**
+ * Background properties that only apply to some background types (see BACKGROUND_FIELDS)
+ */
+const TYPED_BACKGROUND_KEYS = new Set(Object.values(BACKGROUND_FIELDS).flat());
+
+/**
+ * Mask properties that only apply to some mask shapes (see MASK_SHAPE_FIELDS)
+ * maskRadius always counts, as auto masks fall back to the circle.
+ */
+const TYPED_MASK_KEYS = new Set(Object.values(MASK_SHAPE_FIELDS).flat().filter(key => key !== 'maskRadius'));
+
+/**
+ * Frame properties that only apply to some slice modes (see FRAME_SLICE_FIELDS)
+ */
+const TYPED_SLICE_KEYS = new Set(Object.values(FRAME_SLICE_FIELDS).flat());
+
+/**
+ * Reduce frameData to the properties that affect the rendered image, in a stable order
+ * Properties left at their default are omitted, so adding new properties to FRAME_DEFAULTS
+ * does not change the keys of renders that don't use them. Background properties the
+ * background type doesn't use are omitted too, and so are mask properties the mask shape (or, for
+ * maskMode, the lack of a mask image) doesn't use.
+ */
+function normalizeFrameData(frameData) {
+  const resolved = resolveFrameData(frameData);
+  const normalized = {};
+  for (const key of Object.keys(FRAME_DEFAULTS).sort()) {
+    if (TYPED_BACKGROUND_KEYS.has(key) && !BACKGROUND_FIELDS[resolved.bgType].includes(key)) continue;
+    if (TYPED_MASK_KEYS.has(key) && !MASK_SHAPE_FIELDS[resolved.maskShape].includes(key)) continue;
+    if (TYPED_SLICE_KEYS.has(key) && !FRAME_SLICE_FIELDS[resolved.frameSlice].includes(key)) continue;
+    if (key === 'maskMode' && !resolved.maskImage) continue;
+    if (key === 'layers') {
+      const layers = normalizeLayers(resolved.layers);
+      if (layers) normalized.layers = layers;
+      continue;
+    }
+    if (key === 'bgStops') {
+      normalized.bgStops = resolved.bgStops.map(({ color, position }) => ({
+        color: color.toLowerCase(),
+        position: Math.round(position * 1000) / 1000
+      }));
+      continue;
+    }
+    let value = resolved[key];
+    if (typeof value === 'number') value = Math.round(value * 1000) / 1000;
+    if (typeof value === 'string') value = value.trim();
+    if (key === 'bgColor' || key === 'frameTint') value = value.toLowerCase();
+    if (value !== FRAME_DEFAULTS[key]) normalized[key] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Reduce a layer stack to the properties that affect the rendered image
+ * Image layers without an image draw nothing and are dropped; the base and frame layers are
+ * placed by the base and frame settings, so only their blending counts.
+ * @returns {Array<Object>|null} Null for the default base-then-frame stack
+ */
+function normalizeLayers(layers) {
+  const normalized = layers
+    .filter(layer => layer.type !== 'image' || layer.image)
+    .map((layer) => {
+      const keys = layer.type === 'image' ? Object.keys(LAYER_DEFAULTS) : ['blendMode', 'opacity'];
+      const entry = { type: layer.type };
+      for (const key of keys.sort()) {
+        let value = layer[key];
+        if (typeof value === 'number') value = Math.round(value * 1000) / 1000;
+        if (value !== LAYER_DEFAULTS[key]) entry[key] = value;
+      }
+      // A mask image only counts while the layer is masked by it
+      if (entry.mask !== 'image') delete entry.maskImage;
+      return entry;
+    });
+  return JSON.stringify(normalized) === JSON.stringify(DEFAULT_LAYERS) ? null : normalized;
 }
 
 /**
- * Generate a cache key based on base image filename and token/actor ID
+ * Check whether this browser can encode a still image format
+ * Canvases silently encode formats they don't support as PNG, so a 1x1 test image tells.
+ * @param {string} format - MIME type
+ * @returns {Promise<boolean>}
  */
-function generateCacheKey(baseImagePath, id, isPrototype = false) {
-  const baseFilename = baseImagePath.split('/').pop().replace(/\.[^.]+$/, '');
-  const sanitizedFilename = baseFilename.replace(/[^a-zA-Z0-9_-]/g, '_');
-  const prefix = isPrototype ? 'proto' : 'token';
-  return `frame_${prefix}_${id}_${sanitizedFilename}`;
+function canEncodeFormat(format) {
+  if (!encodableFormats.has(format)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    encodableFormats.set(format, new Promise(resolve => canvas.toBlob(blob => resolve(blob?.type === format), format)));
+  }
+  return encodableFormats.get(format);
+}
+
+/**
+ * Get the MIME type still images are saved as: the token's format, else the world's
+ * Formats this browser can't encode fall back to WebP.
+ */
+async function getStillFormat(frameData) {
+  const name = frameData.outputFormat || game.settings.get(MODULE_ID, 'cacheFormat');
+  const format = OUTPUT_FORMATS[name] ?? OUTPUT_FORMAT;
+  if (format === OUTPUT_FORMAT || await canEncodeFormat(format)) return format;
+  debugLog(`${format} can't be encoded in this browser - saving as ${OUTPUT_FORMAT}`);
+  return OUTPUT_FORMAT;
+}
+
+/**
+ * Check if a frame's output size follows the scene grid (its own mode, else the world's)
+ * @param {Object} frameData
+ */
+export function usesAutoResolution(frameData) {
+  return (frameData?.outputResolutionMode || game.settings.get(MODULE_ID, 'cacheResolutionMode')) === 'auto';
+}
+
+/**
+ * Get the output size in pixels (the longer side): the token's fixed resolution, else the world's
+ * In auto mode it is the scene's grid size times the token's size in grid units times the
+ * world's multiplier.
+ */
+function getOutputResolution(frameData, token, tokenSize) {
+  if (usesAutoResolution(frameData)) {
+    const gridSize = token?.parent?.grid?.size ?? canvas.scene?.grid.size ?? 100;
+    const multiplier = game.settings.get(MODULE_ID, 'cacheResolutionMultiplier') ?? 2;
+    const resolution = Math.round(gridSize * (tokenSize ?? getTokenSize(token) ?? 1) * multiplier);
+    return Math.min(AUTO_RESOLUTION_MAX, Math.max(AUTO_RESOLUTION_MIN, resolution));
+  }
+  if (frameData.outputResolutionMode === 'fixed' && frameData.outputResolution > 0) return frameData.outputResolution;
+  return game.settings.get(MODULE_ID, 'cacheResolution') ?? 1000;
+}
+
+/**
+ * Get the output settings for a cached image
+ * Animated base images are recorded as WebM when enabled and supported by the browser. Tokens can
+ * override the world's format, compression and resolution (frameData.outputFormat,
+ * outputCompression, outputResolutionMode and outputResolution); lossless still images are
+ * encoded at quality 1.
+ * @param {string} baseImagePath
+ * @param {Object} [options]
+ * @param {Object} [options.frameData] - Frame configuration, for the token's output overrides
+ * @param {TokenDocument} [options.token] - Token whose scene and size set the auto resolution
+ * @param {number} [options.tokenSize] - Token size in grid units (defaults to the token's longer side)
+ * @param {boolean} [options.animated=true] - Record animated sources as WebM
+ */
+async function getRenderSettings(baseImagePath, { frameData = {}, token, tokenSize, animated = true } = {}) {
+  const animate = animated
+    && game.settings.get(MODULE_ID, 'animatedOutput')
+    && canRecordAnimation()
+    && await isAnimatedSource(baseImagePath);
+  const lossless = !animate && (frameData.outputCompression
+    ? frameData.outputCompression === 'lossless'
+    : game.settings.get(MODULE_ID, 'cacheLossless'));
+  return {
+    resolution: getOutputResolution(frameData, token, tokenSize),
+    quality: lossless ? 1 : game.settings.get(MODULE_ID, 'cacheQuality') ?? 0.95,
+    format: animate ? ANIMATED_OUTPUT_FORMAT : await getStillFormat(frameData)
+  };
+}
+
+/**
+ * Generate a content-addressed cache key
+ * Identical inputs always map to the same file, so renders can be shared between tokens.
+ */
+function generateCacheKey(baseImagePath, frameData, renderSettings) {
+  const payload = JSON.stringify({
+    base: baseImagePath,
+    frame: normalizeFrameData(frameData),
+    resolution: renderSettings.resolution,
+    quality: renderSettings.quality,
+    format: renderSettings.format
+  });
+  return `frame_${hashString(payload)}`;
 }
 
 /**
  * Get the cache folder path
  */
-function getCacheFolder() {
+export function getCacheFolder() {
   const customPath = game.settings.get(MODULE_ID, 'cacheFolder');
   if (customPath) return customPath;
   return `worlds/${game.world.id}/token-framer-cache`;
 }
 
+/**
+ * Check if a path points into the Token Framer cache
+ */
+export function isCachePath(path) {
+  if (!path) return false;
+  return path.includes(getCacheFolder()) || path.includes('token-framer-cache');
+}
+
 /**
  * Ensure the cache folder exists
  */
@@ -60,113 +290,60 @@ async function ensureCacheFolder() {
 }
 
 /**
- * Load an image and return as HTMLImageElement
+ * Get the file name a cache key is stored under
  */
-function loadImage(src) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => resolve(img);
-    img.onerror = (err) => reject(new Error(`Failed to load image: ${src}`));
-    img.src = src;
-  });
+function getCacheFileName(cacheKey, format = OUTPUT_FORMAT) {
+  return `${cacheKey}.${FORMAT_EXTENSIONS[format]}`;
 }
 
 /**
- * Composite the base image with frame and mask
+ * Get the path a cache key is stored at
  */
-async function compositeImage(baseImagePath, frameData, size = 1000, quality = 0.95) {
-  const {
-    frameImage, maskImage, baseScale = 0.9, baseOffsetX = 0, baseOffsetY = 0,
-    maskRadius = 0.95, maskScale = 1.0, maskOffsetX = 0, maskOffsetY = 0,
-    frameScale = 1.0, frameOffsetX = 0, frameOffsetY = 0, bgEnabled = false, bgColor = '#000000'
-  } = frameData;
-
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-  
-  const centerX = size / 2;
-  const centerY = size / 2;
+function getCachePath(cacheKey, format = OUTPUT_FORMAT) {
+  return `${getCacheFolder()}/${getCacheFileName(cacheKey, format)}`;
+}
 
-  const [baseImg, frameImg, maskImg] = await Promise.all([
-    loadImage(baseImagePath),
-    loadImage(frameImage),
-    maskImage ? loadImage(maskImage) : null
-  ]);
+/**
+ * Check whether a cached file already exists on the server
+ */
+async function cacheFileExists(path) {
+  if (knownCacheFiles.has(path)) return true;
+  try {
+    const response = await fetch(path, { method: 'HEAD', cache: 'no-store' });
+    if (response.ok) {
+      knownCacheFiles.add(path);
+      return true;
+    }
+  } catch (err) {
+    debugLog('Cache lookup failed for', path, err);
+  }
+  return false;
+}
 
-  const baseAspect = baseImg.width / baseImg.height;
-  let baseDrawWidth, baseDrawHeight, baseDrawY;
-  
-  if (baseAspect >= 1) {
-    baseDrawHeight = size * baseScale;
-    baseDrawWidth = baseDrawHeight * baseAspect;
-    baseDrawY = centerY - baseDrawHeight / 2 + baseOffsetY;
-  } else {
-    baseDrawWidth = size * baseScale;
-    baseDrawHeight = baseDrawWidth / baseAspect;
-    baseDrawY = centerY - (size * baseScale / 2) + baseOffsetY;
+/**
+ * Composite the base image with frame and mask
+ * Still images go through the worker render queue; animated output is recorded on the main thread.
+ */
+async function compositeImage(baseImagePath, frameData, size = 1000, quality = 0.95, format = OUTPUT_FORMAT) {
+  if (format === ANIMATED_OUTPUT_FORMAT) {
+    return renderAnimatedComposite(baseImagePath, frameData, size, quality);
   }
-  
-  const baseDrawX = centerX - baseDrawWidth / 2 + baseOffsetX;
+  return queueComposite(baseImagePath, frameData, size, quality, format);
+}
 
-  ctx.save();
-  
-  if (maskImg) {
-    const baseCanvas = document.createElement('canvas');
-    baseCanvas.width = size;
-    baseCanvas.height = size;
-    const baseCtx = baseCanvas.getContext('2d');
-    
-    if (bgEnabled && bgColor) {
-      baseCtx.fillStyle = bgColor;
-      baseCtx.fillRect(0, 0, size, size);
-    }
-    
-    baseCtx.drawImage(baseImg, baseDrawX, baseDrawY, baseDrawWidth, baseDrawHeight);
-    
-    const maskCanvas = document.createElement('canvas');
-    maskCanvas.width = size;
-    maskCanvas.height = size;
-    const maskCtx = maskCanvas.getContext('2d');
-    const maskDrawSize = size * maskScale;
-    
-    maskCtx.drawImage(maskImg, centerX - maskDrawSize / 2 + maskOffsetX, centerY - maskDrawSize / 2 + maskOffsetY, maskDrawSize, maskDrawSize);
-    
-    const maskData = maskCtx.getImageData(0, 0, size, size);
-    const pixels = maskData.data;
-    for (let i = 0; i < pixels.length; i += 4) {
-      const luminosity = (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
-      pixels[i + 3] = Math.min(pixels[i + 3], luminosity);
-    }
-    maskCtx.putImageData(maskData, 0, 0);
-    
-    baseCtx.globalCompositeOperation = 'destination-in';
-    baseCtx.drawImage(maskCanvas, 0, 0);
-    ctx.drawImage(baseCanvas, 0, 0);
-  } else {
-    ctx.beginPath();
-    const radius = (size / 2) * maskRadius;
-    ctx.arc(centerX + maskOffsetX, centerY + maskOffsetY, radius, 0, Math.PI * 2);
-    ctx.clip();
-    
-    if (bgEnabled && bgColor) {
-      ctx.fillStyle = bgColor;
-      ctx.fillRect(0, 0, size, size);
+/**
+ * Drop a cached file from PIXI's texture cache so an overwritten file is reloaded
+ */
+async function evictTexture(path) {
+  try {
+    if (PIXI.Assets?.cache?.has(path)) {
+      await PIXI.Assets.unload(path);
     }
-    
-    ctx.drawImage(baseImg, baseDrawX, baseDrawY, baseDrawWidth, baseDrawHeight);
+  } catch (e) {
+    try {
+      PIXI.Texture.removeFromCache(path);
+    } catch (e2) {}
   }
-
-  ctx.restore();
-
-  const frameSize = size * frameScale;
-  ctx.drawImage(frameImg, centerX - frameSize / 2 + frameOffsetX, centerY - frameSize / 2 + frameOffsetY, frameSize, frameSize);
-
-  return new Promise((resolve) => {
-    canvas.toBlob(resolve, 'image/webp', quality);
-  });
 }
 
 /**
@@ -192,52 +369,236 @@ function endNotificationSuppression() {
 }
 
 /**
- * Save composited image to cache
+ * Upload a file into the cache folder without showing upload notifications
+ * @param {File} file
+ * @returns {Promise<string>} Path of the uploaded file
  */
-async function saveToCacheFile(blob, filename) {
+export async function uploadToCacheFolder(file) {
   await ensureCacheFolder();
   const folder = getCacheFolder();
   const FilePicker = getFilePicker();
-  const file = new File([blob], `${filename}.webp`, { type: 'image/webp' });
-  
+
   beginNotificationSuppression();
-  
+
   try {
     const response = await FilePicker.upload('data', folder, file, { notify: false });
-    debugLog('Saved cache file:', response.path);
     return response.path;
+  } finally {
+    endNotificationSuppression();
+  }
+}
+
+/**
+ * Save composited image to cache and record its source in the manifest
+ */
+async function saveToCacheFile(blob, filename, format = OUTPUT_FORMAT, manifestEntry = {}) {
+  const file = new File([blob], getCacheFileName(filename, format), { type: format });
+  
+  try {
+    const path = await uploadToCacheFolder(file);
+    debugLog('Saved cache file:', path);
+    knownCacheFiles.add(getCachePath(filename, format));
+    recordCacheEntry(file.name, { ...manifestEntry, createdAt: Date.now() });
+    return path;
   } catch (err) {
     console.error(`${MODULE_ID} | Failed to save cache file:`, err);
     throw err;
+  }
+}
+
+/**
+ * Resolve "follow disposition" tinting into a concrete tint color
+ * The tint comes from the disposition colors Foundry uses for token borders.
+ * @param {Object} frameData
+ * @param {number} [disposition] - CONST.TOKEN_DISPOSITIONS value of the token being framed
+ * @returns {Object} frameData with frameTint set, or the input unchanged
+ */
+export function resolveDispositionTint(frameData, disposition) {
+  if (!frameData?.frameTintDisposition || disposition === undefined || disposition === null) return frameData;
+
+  const dispositionKey = Object.keys(CONST.TOKEN_DISPOSITIONS)
+    .find(key => CONST.TOKEN_DISPOSITIONS[key] === Number(disposition));
+  const color = CONFIG.Canvas.dispositionColors?.[dispositionKey];
+  if (color === undefined) return frameData;
+
+  return {
+    ...frameData,
+    frameTint: foundry.utils.Color.from(color).css,
+    // Follow mode with no strength set would be invisible - treat it as a full tint
+    frameTintStrength: frameData.frameTintStrength || 1
+  };
+}
+
+/**
+ * Shape the output like the token it is rendered for
+ * A 2x1 wagon or a 1x3 serpent gets an image of the same proportions instead of a square one.
+ * @param {Object} frameData
+ * @param {number} [aspect] - Token width divided by height (see getTokenAspect)
+ * @returns {Object} frameData with outputAspect set, or the input unchanged
+ */
+export function resolveTokenAspect(frameData, aspect) {
+  if (!frameData || !(aspect > 0)) return frameData;
+  return { ...frameData, outputAspect: aspect };
+}
+
+/**
+ * Width:height ratio of a token or prototype token
+ * @param {TokenDocument|PrototypeToken} [tokenData]
+ * @returns {number|undefined} Undefined if the token has no size
+ */
+export function getTokenAspect(tokenData) {
+  if (!(tokenData?.width > 0) || !(tokenData?.height > 0)) return undefined;
+  return tokenData.width / tokenData.height;
+}
+
+/**
+ * Size of a token or prototype token in grid units (its longer side)
+ * @param {TokenDocument|PrototypeToken} [tokenData]
+ * @returns {number|undefined} Undefined if the token has no size
+ */
+export function getTokenSize(tokenData) {
+  if (!(tokenData?.width > 0) || !(tokenData?.height > 0)) return undefined;
+  return Math.max(tokenData.width, tokenData.height);
+}
+
+/**
+ * Render a framed image into the cache, reusing an identical existing render when possible
+ * Fires `token-framer.preComposite` before compositing (handlers may edit frameData or return
+ * false to cancel) and `token-framer.composited` once the new file is saved.
+ * @param {string} baseImagePath
+ * @param {Object} frameData
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Re-render and overwrite even if the file exists
+ * @param {string} [options.owner] - UUID of the document the render is for (recorded in the manifest)
+ * @param {number} [options.disposition] - Token disposition, for frames that follow it (defaults to the token's)
+ * @param {number} [options.aspect] - Token width:height ratio, which the output follows (defaults to the token's)
+ * @param {number} [options.tokenSize] - Token size in grid units, for auto resolution (defaults to the token's)
+ * @param {TokenDocument} [options.token] - Token whose state selects a frame variant
+ * @returns {Promise<{path: string, key: string, reused: boolean, variant: string}|null>} Null if a hook
+ *   cancelled the render. `variant` is the id of the variant rendered ('' for the base frame).
+ */
+async function renderToCache(baseImagePath, frameData, { force = false, owner, disposition, aspect, tokenSize, token } = {}) {
+  const { frameData: variantFrameData, variantId: variant } = applyFrameVariant(frameData, token);
+  frameData = resolveDispositionTint(variantFrameData, disposition ?? token?.disposition);
+  frameData = resolveTokenAspect(frameData, aspect ?? getTokenAspect(token));
+  const renderSettings = await getRenderSettings(baseImagePath, { frameData, token, tokenSize });
+  let cacheKey = generateCacheKey(baseImagePath, frameData, renderSettings);
+  let expectedPath = getCachePath(cacheKey, renderSettings.format);
+
+  if (!force && await cacheFileExists(expectedPath)) {
+    debugLog('Reusing cached frame:', expectedPath);
+    addCacheOwner(getCacheFileName(cacheKey, renderSettings.format), owner);
+    return { path: expectedPath, key: cacheKey, reused: true, variant };
+  }
+
+  const context = {
+    baseImagePath,
+    frameData: foundry.utils.deepClone(frameData),
+    renderSettings: { ...renderSettings },
+    owner
+  };
+  if (Hooks.call(`${MODULE_ID}.preComposite`, context) === false) {
+    debugLog('Render cancelled by preComposite hook:', baseImagePath);
+    return null;
+  }
+
+  // Handlers may have changed the inputs - key the file by what is actually rendered
+  const modifiedKey = generateCacheKey(context.baseImagePath, context.frameData, context.renderSettings);
+  if (modifiedKey !== cacheKey) {
+    cacheKey = modifiedKey;
+    expectedPath = getCachePath(cacheKey, context.renderSettings.format);
+    if (!force && await cacheFileExists(expectedPath)) {
+      addCacheOwner(getCacheFileName(cacheKey, context.renderSettings.format), owner);
+      return { path: expectedPath, key: cacheKey, reused: true, variant };
+    }
+  }
+
+  // Another token is already rendering this exact file - wait for it instead of uploading twice
+  const pending = pendingCacheRenders.get(expectedPath);
+  if (pending) {
+    const result = await pending;
+    addCacheOwner(getCacheFileName(cacheKey, context.renderSettings.format), owner);
+    return { ...result, reused: true, variant };
+  }
+
+  const render = compositeToCache(context, cacheKey, force);
+  pendingCacheRenders.set(expectedPath, render);
+  try {
+    return { ...await render, reused: false, variant };
   } finally {
-    endNotificationSuppression();
+    pendingCacheRenders.delete(expectedPath);
+  }
+}
+
+/**
+ * Composite a render context and save it under its cache key
+ * @returns {Promise<{path: string, key: string}>}
+ */
+async function compositeToCache(context, cacheKey, force) {
+  const { resolution, quality, format } = context.renderSettings;
+  const blob = await compositeImage(context.baseImagePath, context.frameData, resolution, quality, format);
+  const cachedPath = await saveToCacheFile(blob, cacheKey, format, {
+    baseImage: context.baseImagePath,
+    frameData: resolveFrameData(context.frameData),
+    render: context.renderSettings,
+    owners: context.owner ? [context.owner] : []
+  });
+
+  Hooks.callAll(`${MODULE_ID}.composited`, { ...context, blob, path: cachedPath, key: cacheKey });
+
+  // An overwritten file keeps its name, so bust any stale copy the browser or PIXI holds
+  if (force) {
+    await evictTexture(cachedPath);
+    return { path: `${cachedPath}?t=${Date.now()}`, key: cacheKey };
   }
+  return { path: cachedPath, key: cacheKey };
+}
+
+/**
+ * Render a framed image without saving it to the cache
+ * Fires the same preComposite / composited hooks as cached renders.
+ * @param {string} baseImagePath
+ * @param {Object} frameData
+ * @param {Object} [options]
+ * @param {number} [options.size] - Output size in pixels of the longer side (defaults to the cache resolution)
+ * @param {number} [options.quality] - 0-1 (defaults to the cache quality)
+ * @param {boolean} [options.animated=true] - Record animated sources as WebM
+ * @param {number} [options.disposition] - Token disposition, for frames that follow it
+ * @param {number} [options.aspect] - Width:height ratio of the output (defaults to square)
+ * @returns {Promise<Blob|null>} Null if a hook cancelled the render
+ */
+export async function renderFramedImage(baseImagePath, frameData, { size, quality, animated = true, disposition, aspect } = {}) {
+  frameData = resolveTokenAspect(resolveDispositionTint(frameData, disposition), aspect);
+  const renderSettings = await getRenderSettings(baseImagePath, { frameData, animated });
+  if (size) renderSettings.resolution = size;
+  if (quality) renderSettings.quality = quality;
+
+  const context = { baseImagePath, frameData: foundry.utils.deepClone(frameData), renderSettings };
+  if (Hooks.call(`${MODULE_ID}.preComposite`, context) === false) return null;
+
+  const { resolution, format } = context.renderSettings;
+  const blob = await compositeImage(
+    context.baseImagePath, context.frameData, resolution, context.renderSettings.quality, format
+  );
+  Hooks.callAll(`${MODULE_ID}.composited`, { ...context, blob });
+  return blob;
 }
 
 /**
  * CRITICAL HELPER: Generates a framed image path WITHOUT updating the token document.
  * Used by main.js "Stop & Swap" logic.
  */
-export async function getFramedPathForImage(baseImagePath, frameData, id, isPrototype = false) {
+export async function getFramedPathForImage(baseImagePath, frameData, {
+  force = false, owner, disposition, aspect, tokenSize, token
+} = {}) {
   // 1. Validate inputs
   if (!frameData.enabled || !frameData.frameImage) return null;
 
-  // 2. Create Cache Key
-  const cacheKey = generateCacheKey(baseImagePath, id, isPrototype);
-  
-  // 3. Generate the Blob (The slow part)
-  const cacheResolution = game.settings.get(MODULE_ID, 'cacheResolution') ?? 1000;
-  const cacheQuality = game.settings.get(MODULE_ID, 'cacheQuality') ?? 0.95;
-  
+  // 2. Look up or generate the cached file (generation is the slow part)
   try {
-    const blob = await compositeImage(baseImagePath, frameData, cacheResolution, cacheQuality);
-    const cachedPath = await saveToCacheFile(blob, cacheKey);
-    
-    // Add cache busting
-    return {
-      path: `${cachedPath}?t=${Date.now()}`,
-      key: cacheKey
-    };
+    const result = await renderToCache(baseImagePath, frameData, { force, owner, disposition, aspect, tokenSize, token });
+    if (!result) return null;
+    return { path: result.path, key: result.key, variant: result.variant };
   } catch (err) {
     console.error(`${MODULE_ID} | Failed to generate framed image:`, err);
     return null;
@@ -247,110 +608,221 @@ export async function getFramedPathForImage(baseImagePath, frameData, id, isProt
 /**
  * Apply frame to a token - Used when modifying SLIDERS/SETTINGS
  * (Not used during art swaps anymore, that is handled by getFramedPathForImage)
+ * Only the client elected for the token renders it - others send it the job and wait.
+ * @param {Token|TokenDocument} token
+ * @param {boolean} [forceRegenerate=false]
+ * @returns {Promise<string|null>} Path of the framed image, or null if nothing was rendered
  */
 export async function applyFrameToToken(token, forceRegenerate = false) {
-  const frameData = getFrameData(token);
+  const tokenDoc = token.document ?? token;
+  const frameData = getFrameData(tokenDoc);
   
   // If frame is disabled, restore base image
   if (!frameData.enabled || !frameData.frameImage) {
-    await restoreOriginalImage(token);
-    return;
+    await restoreOriginalImage(tokenDoc);
+    return null;
   }
 
-  let baseImagePath = token.document.getFlag(MODULE_ID, 'originalImage');
+  if (!isRenderer(tokenDoc)) return requestRender('applyFrame', tokenDoc, { force: forceRegenerate });
+
+  let baseImagePath = tokenDoc.getFlag(MODULE_ID, 'originalImage');
   if (!baseImagePath) {
-    baseImagePath = token.document.texture.src;
-    await token.document.setFlag(MODULE_ID, 'originalImage', baseImagePath);
+    baseImagePath = tokenDoc.texture.src;
+    if (isCachePath(baseImagePath)) {
+      baseImagePath = await recoverOriginalImage(baseImagePath);
+      if (!baseImagePath) {
+        console.warn(`${MODULE_ID} | Cannot frame ${tokenDoc.name} - original image not found in the cache manifest.`);
+        return null;
+      }
+    }
+    await tokenDoc.setFlag(MODULE_ID, 'originalImage', baseImagePath);
   }
 
-  const cacheKey = generateCacheKey(baseImagePath, token.document.id, false);
-  let cachedPath = null;
-
+  let result;
   try {
-    debugLog('Generating framed image for token:', token.name);
-    const cacheResolution = game.settings.get(MODULE_ID, 'cacheResolution') ?? 1000;
-    const cacheQuality = game.settings.get(MODULE_ID, 'cacheQuality') ?? 0.95;
-    
-    const blob = await compositeImage(baseImagePath, frameData, cacheResolution, cacheQuality);
-    cachedPath = await saveToCacheFile(blob, cacheKey);
+    debugLog('Generating framed image for token:', tokenDoc.name);
+    result = await renderToCache(baseImagePath, frameData, {
+      force: forceRegenerate,
+      owner: tokenDoc.uuid,
+      token: tokenDoc
+    });
   } catch (err) {
     console.error(`${MODULE_ID} | Failed to generate framed image:`, err);
-    return;
+    return null;
   }
+  if (!result) return null;
 
-  // Clear texture cache
-   try {
-       // Modern V12/V13 way
-       if (PIXI.Assets.cache.has(cachedPath)) {
-           await PIXI.Assets.unload(cachedPath);
-       }
-   } catch (e) {
-       // Fallback for older versions or weird states
-       try {
-           PIXI.Texture.removeFromCache(cachedPath);
-       } catch (e2) {}
-   }
-
-  await token.document.update({
-    'texture.src': `${cachedPath}?t=${Date.now()}`,
-    [`flags.${MODULE_ID}.currentCacheKey`]: cacheKey
+  await tokenDoc.update({
+    'texture.src': result.path,
+    [`flags.${MODULE_ID}.currentCacheKey`]: result.key,
+    [`flags.${MODULE_ID}.activeVariant`]: result.variant
   });
+  return result.path;
 }
 
 /**
  * Restore the base image (remove frame)
+ * @param {Token|TokenDocument} token
  */
 export async function restoreOriginalImage(token) {
-  const originalImage = token.document.getFlag(MODULE_ID, 'originalImage');
+  const tokenDoc = token.document ?? token;
+  let originalImage = tokenDoc.getFlag(MODULE_ID, 'originalImage');
+  if (!originalImage && isCachePath(tokenDoc.texture.src)) {
+    originalImage = await recoverOriginalImage(tokenDoc.texture.src);
+  }
   
   if (originalImage) {
-    debugLog('Restoring base image for token:', token.name);
-    await token.document.update({
+    debugLog('Restoring base image for token:', tokenDoc.name);
+    await tokenDoc.update({
       'texture.src': originalImage,
       [`flags.${MODULE_ID}.-=frameData`]: null,
       [`flags.${MODULE_ID}.-=originalImage`]: null,
       [`flags.${MODULE_ID}.-=currentCacheKey`]: null,
-      [`flags.${MODULE_ID}.-=cachedFramePath`]: null
+      [`flags.${MODULE_ID}.-=cachedFramePath`]: null,
+      [`flags.${MODULE_ID}.-=activeVariant`]: null
     });
   }
 }
 
+/**
+ * Restore an actor's prototype token to its base image and clear its frame flags
+ * @param {Actor} actor
+ * @returns {Promise<boolean>} Whether an original image was found and restored
+ */
+export async function restorePrototypeImage(actor) {
+  const prototypeToken = actor.prototypeToken;
+  let originalImage = prototypeToken.getFlag(MODULE_ID, 'originalImage');
+  if (!originalImage && isCachePath(prototypeToken.texture.src)) {
+    originalImage = await recoverOriginalImage(prototypeToken.texture.src);
+  }
+  if (!originalImage) return false;
+
+  await actor.update({
+    'prototypeToken.texture.src': originalImage,
+    [`prototypeToken.flags.${MODULE_ID}.-=frameData`]: null,
+    [`prototypeToken.flags.${MODULE_ID}.-=originalImage`]: null,
+    [`prototypeToken.flags.${MODULE_ID}.-=currentCacheKey`]: null,
+    [`prototypeToken.flags.${MODULE_ID}.-=cachedFramePath`]: null
+  });
+  debugLog('Prototype token restored to base image for actor:', actor.name);
+  return true;
+}
+
 /**
  * Generate and cache a framed image for a prototype token
  */
-export async function generateFrameForPrototype(baseImagePath, frameData, actorId) {
+export async function generateFrameForPrototype(baseImagePath, frameData, actorId, {
+  force = false, owner, disposition, aspect, tokenSize
+} = {}) {
   if (!frameData.enabled || !frameData.frameImage || !baseImagePath || !actorId) {
     return null;
   }
 
-  const cacheKey = generateCacheKey(baseImagePath, actorId, true);
-  
   try {
     debugLog('Generating frame for prototype token (actor:', actorId, ')');
-    const cacheResolution = game.settings.get(MODULE_ID, 'cacheResolution') ?? 1000;
-    const cacheQuality = game.settings.get(MODULE_ID, 'cacheQuality') ?? 0.95;
-    
-    const blob = await compositeImage(baseImagePath, frameData, cacheResolution, cacheQuality);
-    const cachedPath = await saveToCacheFile(blob, cacheKey);
-    
-    // Clear texture cache (Updated to match applyFrameToToken logic)
-    try {
-      if (PIXI.Assets?.cache?.has(cachedPath)) {
-        await PIXI.Assets.unload(cachedPath);
-      }
-    } catch (e) {
-      try {
-        PIXI.Texture.removeFromCache(cachedPath);
-      } catch (e2) {}
-    }
-
-    return `${cachedPath}?t=${Date.now()}`;
+    const actor = game.actors.get(actorId);
+    owner ??= actor?.uuid ?? `Actor.${actorId}`;
+    disposition ??= actor?.prototypeToken.disposition;
+    aspect ??= getTokenAspect(actor?.prototypeToken);
+    tokenSize ??= getTokenSize(actor?.prototypeToken);
+    const result = await renderToCache(baseImagePath, frameData, { force, owner, disposition, aspect, tokenSize });
+    return result?.path ?? null;
   } catch (err) {
     console.error(`${MODULE_ID} | Failed to generate frame for prototype:`, err);
     return null;
   }
 }
 
+/**
+ * Build the frameData to apply: stored settings, overridden by the caller's, always enabled
+ */
+function buildFrameData(storedFrameData, frameData = {}) {
+  const merged = {
+    ...migrateFrameData(storedFrameData ?? {}),
+    ...frameData,
+    enabled: true,
+    schemaVersion: FRAME_DATA_VERSION
+  };
+  merged.frameImage ||= game.settings.get(MODULE_ID, 'defaultFrameImage');
+  return merged;
+}
+
+/**
+ * Find the unframed image for a token or prototype token
+ */
+async function resolveBaseImage(tokenData, baseImage) {
+  if (baseImage) return baseImage;
+  const flagged = tokenData.getFlag(MODULE_ID, 'originalImage');
+  if (flagged) return flagged;
+  const src = tokenData.texture?.src;
+  return isCachePath(src) ? recoverOriginalImage(src) : src;
+}
+
+/**
+ * Frame a placed token (through the client elected to render it, if that isn't this one)
+ * @param {TokenDocument|Token} token
+ * @param {Object} [frameData] - Settings to apply on top of the token's current frameData
+ * @param {Object} [options]
+ * @param {string} [options.baseImage] - Unframed image to use (defaults to the token's original image)
+ * @param {boolean} [options.force=false] - Re-render even if an identical cached file exists
+ * @returns {Promise<string|null>} Path of the framed image, or null on failure
+ */
+export async function frameTokenDocument(token, frameData = {}, { baseImage, force = false } = {}) {
+  const tokenDoc = token.document ?? token;
+  if (!isRenderer(tokenDoc)) return requestRender('frameToken', tokenDoc, { frameData, baseImage, force });
+
+  const mergedFrameData = buildFrameData(tokenDoc.getFlag(MODULE_ID, 'frameData'), frameData);
+  const baseImagePath = await resolveBaseImage(tokenDoc, baseImage);
+  if (!baseImagePath) return null;
+
+  const result = await getFramedPathForImage(baseImagePath, mergedFrameData, {
+    force, owner: tokenDoc.uuid, token: tokenDoc
+  });
+  if (!result) return null;
+
+  await tokenDoc.update({
+    'texture.src': result.path,
+    [`flags.${MODULE_ID}.frameData`]: mergedFrameData,
+    [`flags.${MODULE_ID}.originalImage`]: baseImagePath,
+    [`flags.${MODULE_ID}.currentCacheKey`]: result.key,
+    [`flags.${MODULE_ID}.activeVariant`]: result.variant
+  }, { tokenFramerIntercepted: true });
+  debugLog('Framed token:', tokenDoc.name);
+  return result.path;
+}
+
+/**
+ * Frame an actor's prototype token (through the client elected to render it, if that isn't this one)
+ * @param {Actor} actor
+ * @param {Object} [frameData] - Settings to apply on top of the prototype token's current frameData
+ * @param {Object} [options]
+ * @param {string} [options.baseImage] - Unframed image to use (defaults to the prototype's original image)
+ * @param {boolean} [options.force=false] - Re-render even if an identical cached file exists
+ * @returns {Promise<string|null>} Path of the framed image, or null on failure
+ */
+export async function frameActorPrototype(actor, frameData = {}, { baseImage, force = false } = {}) {
+  if (!isRenderer(actor)) return requestRender('frameActor', actor, { frameData, baseImage, force });
+
+  const prototypeToken = actor.prototypeToken;
+  const mergedFrameData = buildFrameData(prototypeToken.getFlag(MODULE_ID, 'frameData'), frameData);
+  const baseImagePath = await resolveBaseImage(prototypeToken, baseImage);
+  if (!baseImagePath) return null;
+
+  const cachedPath = await generateFrameForPrototype(baseImagePath, mergedFrameData, actor.id, {
+    force, owner: actor.uuid, disposition: prototypeToken.disposition
+  });
+  if (!cachedPath) return null;
+
+  await actor.update({
+    'prototypeToken.texture.src': cachedPath,
+    [`prototypeToken.flags.${MODULE_ID}.frameData`]: mergedFrameData,
+    [`prototypeToken.flags.${MODULE_ID}.cachedFramePath`]: cachedPath,
+    [`prototypeToken.flags.${MODULE_ID}.originalImage`]: baseImagePath
+  }, { tokenFramerIntercepted: true });
+  debugLog('Framed actor prototype:', actor.name);
+  return cachedPath;
+}
+
 /**
  * DEPRECATED: Stubs for compatibility
  * We now handle art changes in main.js via preUpdateToken
@@ -385,52 +857,72 @@ export async function regenerateAllFrames() {
   ui.notifications.info(`Starting regeneration of ${total} tokens... check console for details.`);
   console.log(`${MODULE_ID} | Starting Mass Regeneration`);
 
-  // 2. Process Actors (Prototype Tokens)
-  for (const actor of actors) {
-    const frameData = actor.prototypeToken.getFlag(MODULE_ID, 'frameData');
-    const originalImage = actor.prototypeToken.getFlag(MODULE_ID, 'originalImage') 
+  // Files may have been deleted by hand, so re-check the server instead of trusting the session memo
+  knownCacheFiles.clear();
+
+  // 2. Process Actors (Prototype Tokens), a few at a time so the render workers stay busy
+  await mapConcurrent(actors, async (actor) => {
+    const frameData = migrateFrameData(actor.prototypeToken.getFlag(MODULE_ID, 'frameData'));
+    let originalImage = actor.prototypeToken.getFlag(MODULE_ID, 'originalImage') 
                        || actor.prototypeToken.texture.src;
+    if (isCachePath(originalImage)) {
+      originalImage = await recoverOriginalImage(originalImage);
+    }
     
-    if (!originalImage) continue;
+    if (!originalImage) {
+      console.warn(`${MODULE_ID} | Skipped ${actor.name} - Lost original image source.`);
+      return;
+    }
 
     console.log(`${MODULE_ID} | Regenerating Actor: ${actor.name}`);
     
-    const cachedPath = await generateFrameForPrototype(originalImage, frameData, actor.id);
+    const cachedPath = await generateFrameForPrototype(originalImage, frameData, actor.id, { force: true });
     
     if (cachedPath) {
       await actor.update({
         'prototypeToken.texture.src': cachedPath,
-        [`prototypeToken.flags.${MODULE_ID}.cachedFramePath`]: cachedPath
+        [`prototypeToken.flags.${MODULE_ID}.cachedFramePath`]: cachedPath,
+        [`prototypeToken.flags.${MODULE_ID}.originalImage`]: originalImage
       });
     }
     count++;
-  }
+  });
 
   // 3. Process Placed Tokens (in Scenes)
-  for (const tokenDoc of scenes) {
+  await mapConcurrent(scenes, async (tokenDoc) => {
     console.log(`${MODULE_ID} | Regenerating Token: ${tokenDoc.name} in scene ${tokenDoc.parent.name}`);
     
-    const frameData = tokenDoc.getFlag(MODULE_ID, 'frameData');
+    const frameData = migrateFrameData(tokenDoc.getFlag(MODULE_ID, 'frameData'));
     let baseImagePath = tokenDoc.getFlag(MODULE_ID, 'originalImage');
     
     if (!baseImagePath) baseImagePath = tokenDoc.texture.src;
 
-    if (baseImagePath.includes("token-framer-cache")) {
-        console.warn(`${MODULE_ID} | Skipped ${tokenDoc.name} - Lost original image source.`);
-        continue;
+    if (isCachePath(baseImagePath)) {
+        // Flag was lost - look the source up in the cache manifest
+        baseImagePath = await recoverOriginalImage(baseImagePath);
+        if (!baseImagePath) {
+            console.warn(`${MODULE_ID} | Skipped ${tokenDoc.name} - Lost original image source.`);
+            return;
+        }
     }
 
     // Direct call since we are in the same file now
-    const result = await getFramedPathForImage(baseImagePath, frameData, tokenDoc.id);
+    const result = await getFramedPathForImage(baseImagePath, frameData, {
+      force: true,
+      owner: tokenDoc.uuid,
+      token: tokenDoc
+    });
 
     if (result) {
         await tokenDoc.update({
             'texture.src': result.path,
-            [`flags.${MODULE_ID}.currentCacheKey`]: result.key
+            [`flags.${MODULE_ID}.originalImage`]: baseImagePath,
+            [`flags.${MODULE_ID}.currentCacheKey`]: result.key,
+            [`flags.${MODULE_ID}.activeVariant`]: result.variant
         });
     }
     count++;
-  }
+  });
 
   ui.notifications.info(`${MODULE_ID} | Regeneration Complete! Processed ${count} assets.`);
 }
\ No newline at end of file
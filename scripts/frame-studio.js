@@ -0,0 +1,417 @@
+/**
+ * Token Framer - Frame Studio
+ * A dedicated window for framing one placed token or actor prototype token, with a large
+ * zoomable preview (editable by dragging), a before/after comparison, a view at the token's
+ * actual on-canvas size, and presets. Settings are saved to the same
+ * flags.token-framer.frameData as the Token Config section.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import {
+  FRAME_DEFAULTS, OFFSET_REFERENCE_SIZE, isVideoPath, renderComposite, resolveLayers, resolveGradientStops,
+  getOutputSize
+} from './compositor.js';
+import { migrateFrameData } from './migration.js';
+import {
+  frameTokenDocument, frameActorPrototype, resolveDispositionTint, resolveTokenAspect, getTokenAspect, isCachePath
+} from './frame-layer.js';
+import { recoverOriginalImage } from './cache-manifest.js';
+import { getPresets, getPreset, savePreset, promptPresetName, applyPresetToForm } from './presets.js';
+import { activatePreviewEditing } from './preview-editor.js';
+import { renderLayerRows, activateLayerEditor } from './layers.js';
+import { getBackgroundTypeOptions, renderStopRows, activateBackgroundEditor } from './backgrounds.js';
+import { getSelectOptions, activateFrameFields } from './frame-fields.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Preview size in CSS pixels at 100% zoom
+ */
+const STUDIO_PREVIEW_SIZE = 360;
+
+/**
+ * Largest preview render in pixels (zoomed-in previews are upscaled beyond this)
+ */
+const MAX_PREVIEW_RENDER_SIZE = 1024;
+
+const PREVIEW_DEBOUNCE_MS = 150;
+
+/**
+ * Sliders and offsets shown in the studio, by section
+ */
+const STUDIO_SECTIONS = [
+  {
+    label: 'TOKEN-FRAMER.Config.BaseImageSettings',
+    sliders: [
+      { key: 'baseScale', label: 'TOKEN-FRAMER.Config.BaseScale', min: 0.5, max: 1, step: 0.01 },
+      { key: 'baseRotation', label: 'TOKEN-FRAMER.Config.BaseRotation', min: -180, max: 180, step: 1 }
+    ],
+    offset: { label: 'TOKEN-FRAMER.Config.BaseOffset', x: 'baseOffsetX', y: 'baseOffsetY' }
+  },
+  {
+    label: 'TOKEN-FRAMER.Config.MaskSettings',
+    // Sliders only some mask shapes use are hidden for the others (see updateFrameFields)
+    maskFields: true,
+    sliders: [
+      { key: 'maskRadius', label: 'TOKEN-FRAMER.Config.MaskRadius', min: 0.5, max: 1, step: 0.01 },
+      { key: 'maskCornerRadius', label: 'TOKEN-FRAMER.Config.MaskCornerRadius', min: 0, max: 1, step: 0.01 },
+      { key: 'maskScale', label: 'TOKEN-FRAMER.Config.MaskScale', min: 0.5, max: 1.5, step: 0.01 }
+    ],
+    offset: { label: 'TOKEN-FRAMER.Config.MaskOffset', x: 'maskOffsetX', y: 'maskOffsetY' }
+  },
+  {
+    label: 'TOKEN-FRAMER.Config.FrameSettings',
+    sliders: [
+      { key: 'frameScale', label: 'TOKEN-FRAMER.Config.FrameScale', min: 0.5, max: 1.5, step: 0.01 },
+      { key: 'frameHue', label: 'TOKEN-FRAMER.Config.FrameHue', min: -180, max: 180, step: 1 },
+      { key: 'frameSaturation', label: 'TOKEN-FRAMER.Config.FrameSaturation', min: 0, max: 2, step: 0.01 },
+      { key: 'frameBrightness', label: 'TOKEN-FRAMER.Config.FrameBrightness', min: 0, max: 2, step: 0.01 },
+      { key: 'frameTintStrength', label: 'TOKEN-FRAMER.Studio.TintStrength', min: 0, max: 1, step: 0.01 }
+    ],
+    offset: { label: 'TOKEN-FRAMER.Config.FrameOffset', x: 'frameOffsetX', y: 'frameOffsetY' }
+  }
+];
+
+/**
+ * Format a slider value the way the Token Config section does
+ */
+function formatSliderValue(value, step) {
+  return parseFloat(value).toFixed(step >= 1 ? 0 : 2);
+}
+
+/**
+ * Frame Studio window for one TokenDocument or Actor
+ */
+export class FrameStudio extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {TokenDocument|Token|Actor} target - Placed token, or actor whose prototype token is framed
+   * @param {Object} [options] - ApplicationV2 options, plus:
+   * @param {Object} [options.frameData] - Start from these settings instead of the saved ones (e.g. unsaved form values)
+   * @param {string} [options.baseImage] - Start from this unframed image
+   */
+  constructor(target, { frameData, baseImage, ...options } = {}) {
+    const doc = target.document ?? target;
+    super({ id: FrameStudio.getId(doc), ...options });
+    this.document = doc;
+    this.#initialFrameData = frameData;
+    this.#baseImage = baseImage;
+  }
+
+  static DEFAULT_OPTIONS = {
+    tag: 'form',
+    classes: ['token-framer-studio'],
+    window: {
+      title: 'TOKEN-FRAMER.Studio.Title',
+      icon: 'fas fa-crop-simple',
+      resizable: true
+    },
+    position: { width: 960, height: 'auto' },
+    form: {
+      handler: FrameStudio.#onSubmit,
+      closeOnSubmit: false
+    },
+    actions: {
+      browseFile: FrameStudio.#onBrowseFile,
+      savePreset: FrameStudio.#onSavePreset,
+      zoomIn: FrameStudio.#onZoom,
+      zoomOut: FrameStudio.#onZoom
+    }
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/frame-studio.hbs` }
+  };
+
+  /**
+   * Window id for a document, so each document has at most one studio
+   */
+  static getId(doc) {
+    return `token-framer-studio-${doc.uuid.replaceAll('.', '-')}`;
+  }
+
+  /**
+   * Open the studio for a document, or bring its open studio to the front
+   * @param {TokenDocument|Token|Actor} target
+   * @param {Object} [options] - Constructor options
+   * @returns {FrameStudio}
+   */
+  static open(target, options = {}) {
+    const doc = target.document ?? target;
+    const existing = foundry.applications.instances.get(FrameStudio.getId(doc));
+    if (existing) {
+      existing.bringToFront();
+      return existing;
+    }
+    const studio = new FrameStudio(doc, options);
+    studio.render({ force: true });
+    return studio;
+  }
+
+  /** Settings passed in by the opener */
+  #initialFrameData;
+
+  /** Unframed image being framed */
+  #baseImage;
+
+  /** Preview zoom factor */
+  #zoom = 1;
+
+  #previewTimer = null;
+
+  /** Increments per render so a slow, stale preview can't replace a newer one */
+  #previewRequest = 0;
+
+  /** @override */
+  get title() {
+    return `${game.i18n.localize(this.options.window.title)}: ${this.document.name}`;
+  }
+
+  /**
+   * The token data being framed: the placed token, or the actor's prototype token
+   */
+  get tokenData() {
+    return this.document.documentName === 'Actor' ? this.document.prototypeToken : this.document;
+  }
+
+  /**
+   * Size in CSS pixels of the token's longer side on the canvas
+   */
+  get actualSize() {
+    const gridSize = canvas.dimensions?.size ?? canvas.scene?.grid.size ?? 100;
+    const zoom = canvas.stage?.scale.x ?? 1;
+    const { width = 1, height = 1 } = this.tokenData;
+    return Math.round(Math.max(width, height) * (this.tokenData.texture?.scaleX ?? 1) * gridSize * zoom);
+  }
+
+  /** @override */
+  async _prepareContext() {
+    const frameData = migrateFrameData(this.#initialFrameData ?? this.tokenData.getFlag(MODULE_ID, 'frameData') ?? {});
+    const values = { ...FRAME_DEFAULTS, ...frameData };
+    values.frameImage ||= game.settings.get(MODULE_ID, 'defaultFrameImage');
+
+    if (!this.#baseImage) {
+      let baseImage = this.tokenData.getFlag(MODULE_ID, 'originalImage') ?? this.tokenData.texture?.src ?? '';
+      if (isCachePath(baseImage)) baseImage = await recoverOriginalImage(baseImage) ?? baseImage;
+      this.#baseImage = baseImage;
+    }
+    const layers = resolveLayers(frameData.layers);
+    const bgStops = resolveGradientStops(values.bgStops, values.bgColor);
+
+    return {
+      moduleId: MODULE_ID,
+      baseImage: this.#baseImage,
+      values,
+      sections: STUDIO_SECTIONS.map(section => ({
+        ...section,
+        sliders: section.sliders.map(slider => ({
+          ...slider,
+          value: values[slider.key],
+          display: formatSliderValue(values[slider.key], slider.step)
+        })),
+        offset: { ...section.offset, xValue: values[section.offset.x], yValue: values[section.offset.y] }
+      })),
+      baseFits: getSelectOptions('baseFit', values.baseFit),
+      baseAnchors: getSelectOptions('baseAnchor', values.baseAnchor),
+      maskShapes: getSelectOptions('maskShape', values.maskShape),
+      maskModes: getSelectOptions('maskMode', values.maskMode),
+      frameSlices: getSelectOptions('frameSlice', values.frameSlice),
+      frameSliceEdges: getSelectOptions('frameSliceEdges', values.frameSliceEdges),
+      bgTypes: getBackgroundTypeOptions(values.bgType),
+      bgStopsJson: JSON.stringify(bgStops),
+      bgStopRows: await renderStopRows(bgStops),
+      layersJson: JSON.stringify(layers),
+      layerRows: await renderLayerRows(layers),
+      presets: getPresets().map(preset => ({ id: preset.id, name: preset.name, selected: preset.id === frameData.presetId })),
+      isGM: game.user.isGM,
+      previewSize: STUDIO_PREVIEW_SIZE,
+      actualSize: this.actualSize
+    };
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    // Every edit updates its value display and the preview
+    this.element.addEventListener('input', (event) => {
+      const display = this.element.querySelector(`.range-value[data-for="${event.target.name}"]`);
+      if (display) display.textContent = formatSliderValue(event.target.value, parseFloat(event.target.step));
+      this.#schedulePreview();
+    });
+    this.element.addEventListener('change', (event) => {
+      if (['compare', 'actualSize'].includes(event.target.name)) this.#updateLayout();
+      else if (event.target.name === `flags.${MODULE_ID}.frameData.presetId`) this.#loadPreset(event.target.value);
+      else this.#schedulePreview();
+    });
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const preview = activatePreviewEditing(this.element.querySelector('.tfl-studio-after'), this.element);
+    activateLayerEditor(this.element.querySelector('.tfl-layer-editor'), () => this.#schedulePreview());
+    activateFrameFields(this.element, () => this.#schedulePreview());
+    activateBackgroundEditor(this.element.querySelector('.tfl-background-editor'), () => this.#schedulePreview(), {
+      preview,
+      getBaseImage: () => this.element.querySelector('input[name="baseImage"]').value.trim()
+    });
+    this.#updateLayout();
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    clearTimeout(this.#previewTimer);
+  }
+
+  /**
+   * Read the frame settings from the form
+   * @returns {Object} Stored frameData with the form's values applied
+   */
+  #readFrameData() {
+    const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    const stored = migrateFrameData(this.#initialFrameData ?? this.tokenData.getFlag(MODULE_ID, 'frameData') ?? {});
+    const frameData = { ...stored, ...data.flags?.[MODULE_ID]?.frameData, enabled: true };
+    // The layer and background editors submit the layer stack and gradient stops as JSON text
+    frameData.layers = resolveLayers(frameData.layers);
+    frameData.bgStops = resolveGradientStops(frameData.bgStops, frameData.bgColor);
+    return frameData;
+  }
+
+  /**
+   * Size the before/after panes for the zoom level or the actual token size, then re-render the preview
+   */
+  #updateLayout() {
+    const compare = this.element.querySelector('input[name="compare"]').checked;
+    const actual = this.element.querySelector('input[name="actualSize"]').checked;
+    const size = actual ? this.actualSize : Math.round(STUDIO_PREVIEW_SIZE * this.#zoom);
+
+    // Non-square tokens get a stage of their shape, with the longer side at the chosen size
+    const { width, height } = getOutputSize(size, getTokenAspect(this.tokenData));
+
+    this.element.querySelector('.tfl-studio-before-pane').hidden = !compare;
+    for (const stage of this.element.querySelectorAll('.tfl-studio-stage')) {
+      stage.style.width = `${width}px`;
+      stage.style.height = `${height}px`;
+    }
+    this.element.querySelector('.tfl-studio-zoom-value').textContent = actual
+      ? game.i18n.format('TOKEN-FRAMER.Studio.ActualSizeValue', { size })
+      : `${Math.round(this.#zoom * 100)}%`;
+    for (const button of this.element.querySelectorAll('[data-action^="zoom"]')) button.disabled = actual;
+    this.#schedulePreview(0);
+  }
+
+  /**
+   * Re-render the preview after edits settle
+   */
+  #schedulePreview(delay = PREVIEW_DEBOUNCE_MS) {
+    clearTimeout(this.#previewTimer);
+    this.#previewTimer = setTimeout(() => this.#renderPreview(), delay);
+  }
+
+  /**
+   * Render the framed preview and show the unframed image beside it
+   */
+  async #renderPreview() {
+    if (!this.rendered) return;
+    const request = ++this.#previewRequest;
+    const baseImage = this.element.querySelector('input[name="baseImage"]').value.trim();
+    const frameData = resolveTokenAspect(
+      resolveDispositionTint(this.#readFrameData(), this.tokenData.disposition),
+      getTokenAspect(this.tokenData)
+    );
+
+    const beforeImage = this.element.querySelector('.tfl-studio-before img');
+    const beforeVideo = this.element.querySelector('.tfl-studio-before video');
+    const isVideo = isVideoPath(baseImage);
+    if ((isVideo ? beforeVideo : beforeImage).getAttribute('src') !== baseImage) {
+      (isVideo ? beforeVideo : beforeImage).src = baseImage;
+    }
+    beforeImage.hidden = isVideo;
+    beforeVideo.hidden = !isVideo;
+
+    const afterImage = this.element.querySelector('.tfl-studio-after img');
+    if (!baseImage || !frameData.frameImage) {
+      afterImage.hidden = true;
+      return;
+    }
+
+    const stage = this.element.querySelector('.tfl-studio-after');
+    const renderSize = Math.min(MAX_PREVIEW_RENDER_SIZE, Math.ceil(Math.max(stage.clientWidth, stage.clientHeight) * window.devicePixelRatio));
+    try {
+      const composite = await renderComposite(baseImage, frameData, renderSize || OFFSET_REFERENCE_SIZE);
+      if (request !== this.#previewRequest || !this.rendered) return;
+      afterImage.src = composite.toDataURL('image/png');
+      afterImage.hidden = false;
+    } catch (err) {
+      console.error(`${MODULE_ID} | Frame Studio preview failed:`, err);
+      afterImage.hidden = true;
+    }
+  }
+
+  /**
+   * Load a preset's settings into the form
+   */
+  async #loadPreset(presetId) {
+    const preset = getPreset(presetId);
+    if (!preset) return;
+    await applyPresetToForm(this.element, preset.frameData);
+    // Variants aren't edited here, but they come with the preset
+    this.#initialFrameData = { ...this.#readFrameData(), variants: preset.frameData.variants ?? [] };
+    debugLog('Preset loaded into Frame Studio:', preset.name);
+    this.#schedulePreview(0);
+  }
+
+  /**
+   * Save the settings and frame the document
+   */
+  static async #onSubmit() {
+    const frameData = this.#readFrameData();
+    const baseImage = this.element.querySelector('input[name="baseImage"]').value.trim() || undefined;
+    if (isCachePath(baseImage)) {
+      ui.notifications.warn(game.i18n.localize('TOKEN-FRAMER.Notifications.CachedImageWarning'));
+      return;
+    }
+
+    const path = this.document.documentName === 'Actor'
+      ? await frameActorPrototype(this.document, frameData, { baseImage })
+      : await frameTokenDocument(this.document, frameData, { baseImage });
+    if (!path) return;
+    this.#initialFrameData = undefined;
+    ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Studio.Applied', { name: this.document.name }));
+  }
+
+  /**
+   * Pick a base, frame or mask image
+   */
+  static #onBrowseFile(event, target) {
+    const input = this.element.querySelector(`input[name="${target.dataset.target}"]`);
+    new foundry.applications.apps.FilePicker.implementation({
+      type: 'imagevideo',
+      current: input.value,
+      callback: (path) => {
+        input.value = path;
+        this.#schedulePreview(0);
+      }
+    }).render();
+  }
+
+  /**
+   * Save the current settings as a new preset
+   */
+  static async #onSavePreset() {
+    const name = await promptPresetName();
+    if (!name) return;
+
+    const presetId = await savePreset({ name, frameData: this.#readFrameData() });
+    const select = this.element.querySelector(`select[name="flags.${MODULE_ID}.frameData.presetId"]`);
+    select.add(new Option(name, presetId, true, true));
+    ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Presets.Saved', { name }));
+  }
+
+  static #onZoom(event, target) {
+    const factor = target.dataset.action === 'zoomIn' ? 1.25 : 0.8;
+    this.#zoom = Math.min(4, Math.max(0.5, this.#zoom * factor));
+    this.#updateLayout();
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Token Framer - Layer Stack Editor
+ * Lists a frame's layers in draw order: the token art (with the background), the frame, and any
+ * number of image layers such as underlays, badges or emblems. Image layers can be added,
+ * removed and reordered, and every layer has its own blend mode and opacity. Like variants,
+ * the stack is submitted as JSON text in a hidden frameData.layers input.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { BLEND_MODES, LAYER_MASKS, LAYER_DEFAULTS, resolveLayers } from './compositor.js';
+
+/**
+ * Label and icon for each layer type
+ */
+const LAYER_TYPES = {
+  base: { label: 'TOKEN-FRAMER.Layers.Base', icon: 'fa-user' },
+  frame: { label: 'TOKEN-FRAMER.Layers.Frame', icon: 'fa-circle-notch' },
+  image: { label: 'TOKEN-FRAMER.Layers.Image', icon: 'fa-image' }
+};
+
+/**
+ * Turn a submitted layer stack into an array before an update is saved
+ * @param {Object} [moduleFlags] - The module's flags inside an update's changes
+ */
+export function normalizeLayerChanges(moduleFlags) {
+  const frameData = moduleFlags?.frameData;
+  if (frameData && 'layers' in frameData) frameData.layers = resolveLayers(frameData.layers);
+}
+
+/**
+ * Render the editor row for one layer
+ */
+function renderLayerRow(layer) {
+  return foundry.applications.handlebars.renderTemplate(`modules/${MODULE_ID}/templates/frame-layer-row.hbs`, {
+    layer,
+    ...LAYER_TYPES[layer.type],
+    isImage: layer.type === 'image',
+    opacity: layer.opacity.toFixed(2),
+    blendModes: BLEND_MODES.map(mode => ({
+      value: mode,
+      label: `TOKEN-FRAMER.Layers.BlendModes.${mode}`,
+      selected: mode === layer.blendMode
+    })),
+    masks: LAYER_MASKS.map(mask => ({
+      value: mask,
+      label: `TOKEN-FRAMER.Layers.Masks.${mask}`,
+      selected: mask === layer.mask
+    }))
+  });
+}
+
+/**
+ * Render the rows for a layer stack
+ * @param {Array<Object>} layers - Resolved layers (see resolveLayers)
+ * @returns {Promise<string>} HTML for the editor's .tfl-layer-list
+ */
+export async function renderLayerRows(layers) {
+  const rows = await Promise.all(layers.map(renderLayerRow));
+  return rows.join('');
+}
+
+/**
+ * Read an editor's rows back into layers
+ * @param {HTMLElement} editor - Element containing the .tfl-layer-list
+ * @returns {Array<Object>}
+ */
+export function readLayers(editor) {
+  const rows = editor?.querySelectorAll('.tfl-layer') ?? [];
+  return resolveLayers(Array.from(rows, (row) => {
+    const layer = { type: row.dataset.type };
+    for (const input of row.querySelectorAll('[data-field]')) {
+      layer[input.dataset.field] = input.value;
+    }
+    return layer;
+  }));
+}
+
+/**
+ * Show the mask image field only on layers masked by their own image
+ */
+function updateMaskFields(editor) {
+  for (const row of editor.querySelectorAll('.tfl-layer')) {
+    const maskImage = row.querySelector('.tfl-layer-mask-image');
+    if (maskImage) maskImage.hidden = row.querySelector('[data-field="mask"]').value !== 'image';
+  }
+}
+
+/**
+ * Copy the rows into the hidden input the form submits
+ */
+function syncLayersField(editor) {
+  const input = editor.querySelector(`input[name="flags.${MODULE_ID}.frameData.layers"]`);
+  if (input) input.value = JSON.stringify(readLayers(editor));
+}
+
+/**
+ * Replace all layer rows (used when loading presets)
+ * @param {HTMLElement} editor
+ * @param {Array|Object|string|null} layers - Any value resolveLayers accepts
+ */
+export async function setLayerRows(editor, layers) {
+  const list = editor?.querySelector('.tfl-layer-list');
+  if (!list) return;
+  list.innerHTML = await renderLayerRows(resolveLayers(layers));
+  updateMaskFields(editor);
+  syncLayersField(editor);
+}
+
+/**
+ * Wire up a layer editor: add, delete, reorder, file pickers and field edits
+ * @param {HTMLElement} editor - Element containing the hidden input, .tfl-layer-list and .tfl-layer-add
+ * @param {function(): void} onChange - Called after every change to the stack
+ */
+export function activateLayerEditor(editor, onChange) {
+  const list = editor?.querySelector('.tfl-layer-list');
+  if (!list) return;
+
+  const changed = () => {
+    updateMaskFields(editor);
+    syncLayersField(editor);
+    onChange();
+  };
+
+  editor.querySelector('.tfl-layer-add')?.addEventListener('click', async () => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = await renderLayerRow({ ...LAYER_DEFAULTS });
+    list.append(...wrapper.children);
+    changed();
+  });
+
+  list.addEventListener('input', (event) => {
+    if (event.target.dataset.field === 'opacity') {
+      const display = event.target.closest('.tfl-layer').querySelector('.tfl-layer-opacity');
+      if (display) display.textContent = parseFloat(event.target.value).toFixed(2);
+    }
+    changed();
+  });
+  list.addEventListener('change', changed);
+
+  list.addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    const row = button?.closest('.tfl-layer');
+    if (!row) return;
+
+    if (button.classList.contains('tfl-layer-delete')) {
+      row.remove();
+    } else if (button.classList.contains('tfl-layer-move')) {
+      const sibling = button.dataset.direction === '-1' ? row.previousElementSibling : row.nextElementSibling;
+      if (!sibling) return;
+      if (button.dataset.direction === '-1') sibling.before(row);
+      else sibling.after(row);
+    } else if (button.classList.contains('tfl-layer-file-picker')) {
+      const input = row.querySelector(`[data-field="${button.dataset.field}"]`);
+      new foundry.applications.apps.FilePicker.implementation({
+        type: 'image',
+        current: input.value,
+        callback: (path) => {
+          input.value = path;
+          changed();
+        }
+      }).render();
+      return;
+    }
+    changed();
+  });
+
+  updateMaskFields(editor);
+}
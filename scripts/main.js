@@ -4,11 +4,20 @@
  * Fixed to handle Restore actions and Base Image updates correctly.
  */
 
-import { applyFrameToToken, getFrameData, generateFrameForPrototype } from './frame-layer.js';
+import { MODULE_ID } from './constants.js';
+import { applyFrameToToken, getFrameData, generateFrameForPrototype, usesAutoResolution } from './frame-layer.js';
 import { registerTokenConfigHooks } from './token-config.js';
 import { registerSettings } from './settings.js';
-
-export const MODULE_ID = 'token-framer';
+import { migrateFrameData, migrateWorld } from './migration.js';
+import { createApi } from './api.js';
+import { BatchFramer } from './batch-frame.js';
+import { FrameStudio } from './frame-studio.js';
+import { getAutoFrameData } from './auto-frame.js';
+import { normalizeVariantChanges, refreshActorVariants, refreshTokenVariant } from './variants.js';
+import { normalizeLayerChanges } from './layers.js';
+import { normalizeBackgroundChanges } from './backgrounds.js';
+import { mapConcurrent } from './render-queue.js';
+import { registerSocket, isRenderer, requestRender } from './socket.js';
 
 // Lock to prevent infinite loops when we re-issue the update
 const UPDATE_LOCKS = new Set();
@@ -22,10 +31,13 @@ export function debugLog(...args) {
 Hooks.once('init', () => {
   console.log(`${MODULE_ID} | Initializing Token Framer`);
   registerSettings();
+  game.modules.get(MODULE_ID).api = createApi();
 });
 
-Hooks.once('ready', () => {
+Hooks.once('ready', async () => {
+  registerSocket();
   registerTokenConfigHooks();
+  await migrateWorld();
 });
 
 /**
@@ -33,6 +45,11 @@ Hooks.once('ready', () => {
  * Handles external art changes (TVA, file picker, etc.)
  */
 Hooks.on('preUpdateToken', (document, changes, options, userId) => {
+  // The config sheet submits frame variants, layers and gradient stops as JSON text - store them as arrays
+  normalizeVariantChanges(changes.flags?.[MODULE_ID]);
+  normalizeLayerChanges(changes.flags?.[MODULE_ID]);
+  normalizeBackgroundChanges(changes.flags?.[MODULE_ID]);
+
   // 1. Only run for the owner (client-side generation)
   if (!document.isOwner) return true;
 
@@ -59,11 +76,9 @@ Hooks.on('preUpdateToken', (document, changes, options, userId) => {
   if (newTexture.includes(cacheFolder) || newTexture.includes('token-framer-cache')) return true;
 
   // 6. Check if Frame is Enabled
-  const currentFrameData = document.getFlag(MODULE_ID, 'frameData') ?? {};
-  const newFrameData = changes.flags?.[MODULE_ID]?.frameData ?? {};
-  const frameData = { ...currentFrameData, ...newFrameData };
+  const frameData = getUpdatedFrameData(document, changes);
 
-  if (newFrameData.enabled === false) return true; 
+  if (changes.flags?.[MODULE_ID]?.frameData?.enabled === false) return true; 
 
   if (frameData.enabled && frameData.frameImage) {
     debugLog('🛑 Blocking update for:', newTexture);
@@ -76,15 +91,50 @@ Hooks.on('preUpdateToken', (document, changes, options, userId) => {
   return true;
 });
 
+/**
+ * Get the frameData a token update renders with: the stored frameData under the update's own
+ * Incoming changes are partial and already in the current schema - only stored data is migrated.
+ * @param {TokenDocument} document
+ * @param {Object} changes
+ */
+export function getUpdatedFrameData(document, changes) {
+  const currentFrameData = migrateFrameData(document.getFlag(MODULE_ID, 'frameData') ?? {});
+  return { ...currentFrameData, ...(changes.flags?.[MODULE_ID]?.frameData ?? {}) };
+}
+
 /**
  * Performs the frame generation and re-issues the update
+ * If another client is elected to render the token, the whole update is handed to it.
+ * @returns {Promise<string|null>} Path of the framed image, or null if the update went through unframed
  */
-async function performAsyncFrameUpdate(document, originalChanges, baseImage, frameData) {
+export async function performAsyncFrameUpdate(document, originalChanges, baseImage, frameData) {
+  if (!isRenderer(document)) {
+    // The renderer re-issues the update. If nobody can render it, or the job times out, fails or is
+    // refused, apply it unframed here so the rest of the update isn't lost.
+    const path = await requestRender('interceptedUpdate', document, { changes: originalChanges });
+    if (!path) {
+      UPDATE_LOCKS.add(document.id);
+      await document.update(originalChanges);
+    }
+    return path;
+  }
+
   try {
-    const { getFramedPathForImage } = await import('./frame-layer.js');
+    const { getFramedPathForImage, getTokenAspect, getTokenSize } = await import('./frame-layer.js');
     
     debugLog('🎨 Generating frame...');
-    const result = await getFramedPathForImage(baseImage, frameData, document.id);
+    // The update may resize the token - render for its new size
+    const size = {
+      width: originalChanges.width ?? document.width,
+      height: originalChanges.height ?? document.height
+    };
+    const result = await getFramedPathForImage(baseImage, frameData, {
+      owner: document.uuid,
+      disposition: originalChanges.disposition ?? document.disposition,
+      aspect: getTokenAspect(size),
+      tokenSize: getTokenSize(size),
+      token: document
+    });
 
     if (result) {
       // Clone changes
@@ -99,6 +149,7 @@ async function performAsyncFrameUpdate(document, originalChanges, baseImage, fra
       newChanges.flags[MODULE_ID] = newChanges.flags[MODULE_ID] || {};
       newChanges.flags[MODULE_ID].originalImage = baseImage;
       newChanges.flags[MODULE_ID].currentCacheKey = result.key;
+      newChanges.flags[MODULE_ID].activeVariant = result.variant;
 
       UPDATE_LOCKS.add(document.id);
       debugLog('🚀 Re-issuing update with frame:', result.path);
@@ -106,6 +157,7 @@ async function performAsyncFrameUpdate(document, originalChanges, baseImage, fra
       // OPTIMIZATION: Pass the signal in the OPTIONS object (3rd argument)
       // This tells hooks "We did this", but doesn't save to DB.
       await document.update(newChanges, { tokenFramerIntercepted: true });
+      return result.path;
 
     } else {
       UPDATE_LOCKS.add(document.id);
@@ -116,12 +168,19 @@ async function performAsyncFrameUpdate(document, originalChanges, baseImage, fra
     UPDATE_LOCKS.add(document.id);
     await document.update(originalChanges);
   }
+  return null;
 }
 
 /**
  * REACTOR: Handles settings changes and Manual "Original Image" swaps
  */
 Hooks.on('updateToken', async (document, changes, options, userId) => {
+  // Unlinked tokens keep their actor data (HP, effects) in the delta - the token's renderer
+  // switches the variant, whoever made the change
+  if (changes.delta !== undefined && !options.tokenFramerIntercepted && !options.tokenFramerMigration) {
+    await refreshTokenVariant(document);
+  }
+
   if (game.userId !== userId) return;
   
   // CHECK CONTEXT INSTEAD OF FLAGS
@@ -132,21 +191,28 @@ Hooks.on('updateToken', async (document, changes, options, userId) => {
     return;
   }
 
+  // Migrations rewrite stored values without changing the rendered result
+  if (options.tokenFramerMigration) return;
+
   const token = canvas.tokens?.get(document.id);
   if (!token) return;
 
   // CRITICAL FIX FOR SETTINGS: Check if frameData OR originalImage changed
   const frameDataChanged = changes.flags?.[MODULE_ID]?.frameData !== undefined;
   const originalImageChanged = changes.flags?.[MODULE_ID]?.originalImage !== undefined;
+  const dispositionChanged = changes.disposition !== undefined && getFrameData(token).frameTintDisposition;
+  // The output follows the token's width:height ratio
+  const sizeChanged = changes.width !== undefined || changes.height !== undefined;
   
-  if (frameDataChanged || originalImageChanged) {
+  if (frameDataChanged || originalImageChanged || dispositionChanged || sizeChanged) {
     const frameData = getFrameData(token);
     
     // Only regenerate if enabled
     if (frameData.enabled && frameData.frameImage) {
       debugLog('⚙️ Settings or Base Image changed - Regenerating');
-      // This will pick up the NEW originalImage flag automatically
-      await applyFrameToToken(token, true);
+      // This will pick up the NEW originalImage flag automatically. Edited settings force a fresh
+      // render, since the cache key doesn't change when a frame or mask file is replaced in place.
+      await applyFrameToToken(token, frameDataChanged || originalImageChanged);
     }
   }
 });
@@ -170,7 +236,23 @@ Hooks.on('preCreateToken', (document, data, options, userId) => {
   const actor = document.actor;
   if (!actor) return;
   
-  const prototypeFrameData = actor.prototypeToken?.getFlag?.(MODULE_ID, 'frameData');
+  const storedFrameData = actor.prototypeToken?.getFlag?.(MODULE_ID, 'frameData');
+
+  // No frame settings of its own (on the prototype or the dropped data) - let the auto-frame rules decide.
+  // A prototype with the frame explicitly disabled still counts as having settings.
+  if (!storedFrameData && !document.getFlag(MODULE_ID, 'frameData')) {
+    const autoFrameData = getAutoFrameData(document);
+    if (autoFrameData) {
+      // createToken renders the framed image once the token exists
+      document.updateSource({
+        [`flags.${MODULE_ID}.frameData`]: autoFrameData,
+        [`flags.${MODULE_ID}.originalImage`]: document.texture.src
+      });
+    }
+    return;
+  }
+
+  const prototypeFrameData = migrateFrameData(storedFrameData);
   const cachedFramePath = actor.prototypeToken?.getFlag?.(MODULE_ID, 'cachedFramePath');
   const originalImage = actor.prototypeToken?.getFlag?.(MODULE_ID, 'originalImage');
   
@@ -178,26 +260,119 @@ Hooks.on('preCreateToken', (document, data, options, userId) => {
     const updateData = {
       [`flags.${MODULE_ID}.frameData`]: prototypeFrameData
     };
-    if (cachedFramePath) {
+    // The prototype's image was tinted for the prototype's disposition - a different one needs a new render
+    const dispositionMatches = !prototypeFrameData.frameTintDisposition
+      || document.disposition === actor.prototypeToken.disposition;
+    // ...and shaped for the prototype's width:height ratio
+    const shapeMatches = document.width * actor.prototypeToken.height === document.height * actor.prototypeToken.width;
+    // ...and at a resolution that doesn't depend on the scene's grid size
+    const resolutionMatches = !usesAutoResolution(prototypeFrameData);
+    if (cachedFramePath && dispositionMatches && shapeMatches && resolutionMatches) {
       updateData['texture.src'] = cachedFramePath;
       updateData[`flags.${MODULE_ID}.originalImage`] = originalImage || document.texture.src;
-      updateData[`flags.${MODULE_ID}.currentCacheKey`] = cachedFramePath.split('/').pop().replace('.webp', '');
+      updateData[`flags.${MODULE_ID}.currentCacheKey`] = cachedFramePath.split('?')[0].split('/').pop().replace(/\.[^.]+$/, '');
+    } else if (originalImage) {
+      updateData[`flags.${MODULE_ID}.originalImage`] = originalImage;
     }
     document.updateSource(updateData);
   }
 });
 
+/**
+ * The prototype token config submits frame variants, layers and gradient stops as JSON text - store them as arrays
+ */
+Hooks.on('preUpdateActor', (actor, changes, options, userId) => {
+  normalizeVariantChanges(changes.prototypeToken?.flags?.[MODULE_ID]);
+  normalizeLayerChanges(changes.prototypeToken?.flags?.[MODULE_ID]);
+  normalizeBackgroundChanges(changes.prototypeToken?.flags?.[MODULE_ID]);
+});
+
+/**
+ * VARIANTS: Actor data (HP) changed - switch the frame variant of its tokens
+ * Runs on every client; only each token's renderer re-frames it (see refreshTokenVariant).
+ * Unlinked tokens are handled through their delta in updateToken.
+ */
+Hooks.on('updateActor', async (actor, changes, options, userId) => {
+  if (actor.isToken) return;
+  if (options.tokenFramerMigration || options.tokenFramerIntercepted) return;
+  if (changes.system === undefined) return;
+  await refreshActorVariants(actor);
+});
+
+/**
+ * VARIANTS: Statuses and active effects changed - switch the frame variant of the actor's tokens
+ * Runs on every client, like updateActor.
+ */
+for (const hook of ['createActiveEffect', 'updateActiveEffect', 'deleteActiveEffect']) {
+  Hooks.on(hook, async (effect) => {
+    // Effects may live on an item owned by the actor
+    const actor = effect.parent?.documentName === 'Actor' ? effect.parent : effect.parent?.parent;
+    if (actor?.documentName === 'Actor') await refreshActorVariants(actor);
+  });
+}
+
+/**
+ * Token controls button for batch framing the controlled tokens
+ */
+Hooks.on('getSceneControlButtons', (controls) => {
+  if (!game.user.isGM || !controls.tokens) return;
+  controls.tokens.tools.tokenFramerBatch = {
+    name: 'tokenFramerBatch',
+    title: 'TOKEN-FRAMER.Batch.Title',
+    icon: 'fas fa-images',
+    order: Object.keys(controls.tokens.tools).length,
+    button: true,
+    onChange: () => new BatchFramer().render({ force: true })
+  };
+});
+
+/**
+ * Token HUD button that opens the Frame Studio
+ */
+Hooks.on('renderTokenHUD', (hud, html) => {
+  const tokenDoc = hud.document;
+  if (!tokenDoc?.isOwner) return;
+  const rootEl = html instanceof jQuery ? html[0] : html;
+  const column = rootEl.querySelector('.col.right');
+  if (!column) return;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'control-icon';
+  button.dataset.tooltip = game.i18n.localize('TOKEN-FRAMER.Studio.Open');
+  button.innerHTML = '<i class="fas fa-crop-simple"></i>';
+  button.addEventListener('click', () => FrameStudio.open(tokenDoc));
+  column.appendChild(button);
+});
+
+/**
+ * Actor directory context menu entry that opens the Frame Studio for the prototype token
+ */
+Hooks.on('getActorContextOptions', (directory, options) => {
+  options.push({
+    name: 'TOKEN-FRAMER.Studio.Open',
+    icon: '<i class="fas fa-crop-simple"></i>',
+    condition: li => game.actors.get(li.dataset.entryId)?.isOwner ?? false,
+    callback: (li) => {
+      const actor = game.actors.get(li.dataset.entryId);
+      if (actor) FrameStudio.open(actor);
+    }
+  });
+});
+
+/**
+ * Frame tokens that have frame settings but no rendered image yet
+ * Every connected client sees the scene load - only the client elected for each token renders it,
+ * and the others pick up the result from its update.
+ */
 Hooks.on('canvasReady', async () => {
   if (!canvas.tokens?.placeables) return;
-  for (const token of canvas.tokens.placeables) {
+  const unframed = canvas.tokens.placeables.filter(token => {
     const frameData = getFrameData(token);
-    if (frameData.enabled && frameData.frameImage) {
-      const currentCacheKey = token.document.getFlag(MODULE_ID, 'currentCacheKey');
-      if (!currentCacheKey) {
-        await applyFrameToToken(token);
-      }
-    }
-  }
+    return frameData.enabled && frameData.frameImage && !token.document.getFlag(MODULE_ID, 'currentCacheKey')
+      && isRenderer(token.document);
+  });
+  await mapConcurrent(unframed, token => applyFrameToToken(token));
 });
 
 /**
@@ -206,15 +381,17 @@ Hooks.on('canvasReady', async () => {
  */
 Hooks.on('updateActor', async (actor, changes, options, userId) => {
   if (game.userId !== userId) return;
+  if (options.tokenFramerMigration || options.tokenFramerIntercepted) return;
   
   const flags = changes.prototypeToken?.flags?.[MODULE_ID];
+  const frameData = migrateFrameData(actor.prototypeToken?.getFlag?.(MODULE_ID, 'frameData'));
   const frameDataChanged = flags?.frameData !== undefined;
   const originalImageChanged = flags?.originalImage !== undefined;
+  const dispositionChanged = changes.prototypeToken?.disposition !== undefined && frameData?.frameTintDisposition;
+  const sizeChanged = changes.prototypeToken?.width !== undefined || changes.prototypeToken?.height !== undefined;
   
-  // Exit if neither relevant field changed
-  if (!frameDataChanged && !originalImageChanged) return;
-  
-  const frameData = actor.prototypeToken?.getFlag?.(MODULE_ID, 'frameData');
+  // Exit if no relevant field changed
+  if (!frameDataChanged && !originalImageChanged && !dispositionChanged && !sizeChanged) return;
   
   if (frameData?.enabled && frameData?.frameImage) {
     const originalImage = actor.prototypeToken?.getFlag?.(MODULE_ID, 'originalImage') 
@@ -224,6 +401,11 @@ Hooks.on('updateActor', async (actor, changes, options, userId) => {
     const cacheFolder = game.settings.get(MODULE_ID, 'cacheFolder') || `worlds/${game.world.id}/token-framer-cache`;
     if (originalImage.includes(cacheFolder) || originalImage.includes('token-framer-cache')) return;
     
+    if (!isRenderer(actor)) {
+      await requestRender('frameActor', actor, { baseImage: originalImage });
+      return;
+    }
+
     debugLog('Generating frame for prototype token via updateActor');
     const cachedPath = await generateFrameForPrototype(originalImage, frameData, actor.id);
     
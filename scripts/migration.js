@@ -0,0 +1,118 @@
+/**
+ * Token Framer - Data Migration
+ * Upgrades stored frameData flags to the current schema
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { OFFSET_REFERENCE_SIZE } from './compositor.js';
+
+/**
+ * Current frameData schema version
+ * 1 - Offsets in raw output pixels (implicit, no version stored)
+ * 2 - Offsets in reference pixels (see OFFSET_REFERENCE_SIZE)
+ */
+export const FRAME_DATA_VERSION = 2;
+
+const OFFSET_KEYS = [
+  'baseOffsetX', 'baseOffsetY',
+  'maskOffsetX', 'maskOffsetY',
+  'frameOffsetX', 'frameOffsetY'
+];
+
+/**
+ * Return a copy of frameData upgraded to the current schema
+ * Safe to call on already-migrated or partial data.
+ * @param {Object} frameData
+ * @returns {Object}
+ */
+export function migrateFrameData(frameData) {
+  if (!frameData || foundry.utils.isEmpty(frameData)) return frameData;
+  if ((frameData.schemaVersion ?? 1) >= FRAME_DATA_VERSION) return frameData;
+
+  const migrated = { ...frameData };
+
+  // v1 -> v2: offsets were applied in raw pixels at the cache resolution
+  if ((migrated.schemaVersion ?? 1) < 2) {
+    const legacyResolution = game.settings.get(MODULE_ID, 'cacheResolution') || OFFSET_REFERENCE_SIZE;
+    const factor = OFFSET_REFERENCE_SIZE / legacyResolution;
+    for (const key of OFFSET_KEYS) {
+      if (typeof migrated[key] === 'number') {
+        migrated[key] = Math.round(migrated[key] * factor);
+      }
+    }
+  }
+
+  migrated.schemaVersion = FRAME_DATA_VERSION;
+  return migrated;
+}
+
+/**
+ * Check whether stored frameData needs migrating
+ */
+function needsMigration(frameData) {
+  return !!frameData && !foundry.utils.isEmpty(frameData)
+    && (frameData.schemaVersion ?? 1) < FRAME_DATA_VERSION;
+}
+
+/**
+ * Migrate all actors and placed tokens in the world (GM only, runs once per schema version)
+ * Updates are flagged so the regeneration hooks skip them - the rendered result is unchanged.
+ */
+export async function migrateWorld() {
+  if (!game.user.isGM) return;
+
+  const storedVersion = game.settings.get(MODULE_ID, 'schemaVersion') ?? 0;
+  if (storedVersion >= FRAME_DATA_VERSION) return;
+
+  debugLog(`Migrating frame data to schema version ${FRAME_DATA_VERSION}`);
+  const options = { tokenFramerMigration: true };
+  let count = 0;
+  let failed = 0;
+
+  for (const actor of game.actors) {
+    const frameData = actor.prototypeToken.getFlag(MODULE_ID, 'frameData');
+    if (!needsMigration(frameData)) continue;
+
+    try {
+      await actor.update({
+        [`prototypeToken.flags.${MODULE_ID}.frameData`]: migrateFrameData(frameData)
+      }, options);
+      count++;
+    } catch (err) {
+      console.error(`${MODULE_ID} | Failed to migrate actor ${actor.name}:`, err);
+      failed++;
+    }
+  }
+
+  for (const scene of game.scenes) {
+    const updates = [];
+    for (const tokenDoc of scene.tokens) {
+      const frameData = tokenDoc.getFlag(MODULE_ID, 'frameData');
+      if (!needsMigration(frameData)) continue;
+      updates.push({
+        _id: tokenDoc.id,
+        [`flags.${MODULE_ID}.frameData`]: migrateFrameData(frameData)
+      });
+    }
+    if (!updates.length) continue;
+
+    try {
+      await scene.updateEmbeddedDocuments('Token', updates, options);
+      count += updates.length;
+    } catch (err) {
+      console.error(`${MODULE_ID} | Failed to migrate tokens in scene ${scene.name}:`, err);
+      failed += updates.length;
+    }
+  }
+
+  // Leave the version unchanged if anything failed, so the next load retries those documents
+  if (failed) {
+    ui.notifications.warn(game.i18n.format('TOKEN-FRAMER.Notifications.MigrationFailed', { count: failed }));
+    return;
+  }
+
+  await game.settings.set(MODULE_ID, 'schemaVersion', FRAME_DATA_VERSION);
+  debugLog(`Migration complete, ${count} documents updated`);
+  if (count) ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Notifications.MigrationComplete', { count }));
+}
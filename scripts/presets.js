@@ -0,0 +1,307 @@
+/**
+ * Token Framer - Frame Presets
+ * Named, world-level frame configurations. Tokens that keep a preset's id in
+ * frameData.presetId stay linked and are regenerated whenever the preset changes.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { FRAME_DEFAULTS } from './compositor.js';
+import { FRAME_DATA_VERSION, migrateFrameData } from './migration.js';
+import { frameTokenDocument, frameActorPrototype } from './frame-layer.js';
+import { normalizeVariants } from './variants.js';
+import { setLayerRows } from './layers.js';
+import { setBackgroundEditor } from './backgrounds.js';
+import { updateFrameFields } from './frame-fields.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// Per-token output overrides - not part of the image, so not in FRAME_DEFAULTS ('' = world default)
+const OUTPUT_KEYS = ['outputFormat', 'outputCompression', 'outputResolutionMode', 'outputResolution'];
+
+/**
+ * Keep only the properties of frameData that belong in a preset (render settings and variants)
+ */
+export function toPresetFrameData(frameData) {
+  const presetData = {};
+  for (const key of Object.keys(FRAME_DEFAULTS)) {
+    presetData[key] = frameData[key] ?? FRAME_DEFAULTS[key];
+  }
+  const variants = normalizeVariants(frameData.variants);
+  if (variants.length) presetData.variants = foundry.utils.deepClone(variants);
+  presetData.schemaVersion = FRAME_DATA_VERSION;
+  return presetData;
+}
+
+/**
+ * Get all presets, sorted by name
+ * @returns {Array<{id: string, name: string, frameData: Object}>}
+ */
+export function getPresets() {
+  const presets = game.settings.get(MODULE_ID, 'presets') ?? {};
+  return Object.values(presets)
+    .map(preset => ({ ...preset, frameData: migrateFrameData(preset.frameData) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a preset by id, or by name (case-insensitive)
+ * @param {string} idOrName
+ * @returns {{id: string, name: string, frameData: Object}|null}
+ */
+export function getPreset(idOrName) {
+  if (!idOrName) return null;
+  const presets = getPresets();
+  return presets.find(preset => preset.id === idOrName)
+    ?? presets.find(preset => preset.name.toLowerCase() === String(idOrName).toLowerCase())
+    ?? null;
+}
+
+/**
+ * Create or update a preset
+ * Changing an existing preset's frame settings regenerates every linked token and actor.
+ * @param {Object} preset
+ * @param {string} [preset.id] - Existing preset to update (omit to create)
+ * @param {string} [preset.name]
+ * @param {Object} [preset.frameData]
+ * @returns {Promise<string>} Preset id
+ */
+export async function savePreset({ id, name, frameData }) {
+  const presets = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'presets') ?? {});
+  const existing = id ? presets[id] : null;
+  const presetId = existing?.id ?? foundry.utils.randomID();
+
+  const updated = {
+    id: presetId,
+    name: name?.trim() || existing?.name || game.i18n.localize('TOKEN-FRAMER.Presets.Unnamed'),
+    frameData: frameData ? toPresetFrameData(frameData) : existing?.frameData ?? toPresetFrameData({})
+  };
+  presets[presetId] = updated;
+  await game.settings.set(MODULE_ID, 'presets', presets);
+
+  const frameChanged = existing && !foundry.utils.objectsEqual(
+    toPresetFrameData(migrateFrameData(existing.frameData)), updated.frameData
+  );
+  if (frameChanged) await regenerateLinkedDocuments(presetId);
+
+  return presetId;
+}
+
+/**
+ * Delete a preset. Linked tokens keep their current settings but are unlinked.
+ * @param {string} id
+ */
+export async function deletePreset(id) {
+  const presets = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'presets') ?? {});
+  if (!presets[id]) return;
+  delete presets[id];
+  await game.settings.set(MODULE_ID, 'presets', presets);
+}
+
+/**
+ * Find every actor prototype token and placed token linked to a preset
+ * @param {string} presetId
+ * @returns {{actors: Actor[], tokens: TokenDocument[]}}
+ */
+export function getLinkedDocuments(presetId) {
+  const isLinked = (frameData) => frameData?.presetId === presetId;
+  const actors = game.actors.filter(actor => isLinked(actor.prototypeToken.getFlag(MODULE_ID, 'frameData')));
+  const tokens = game.scenes.map(scene =>
+    scene.tokens.filter(tokenDoc => isLinked(tokenDoc.getFlag(MODULE_ID, 'frameData')))
+  ).flat();
+  return { actors, tokens };
+}
+
+/**
+ * Re-frame every document linked to a preset with the preset's current settings
+ * @param {string} presetId
+ */
+export async function regenerateLinkedDocuments(presetId) {
+  const preset = getPreset(presetId);
+  if (!preset) return;
+
+  const { actors, tokens } = getLinkedDocuments(presetId);
+  const total = actors.length + tokens.length;
+  if (!total) return;
+
+  ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Presets.Regenerating', { count: total, name: preset.name }));
+  const frameData = { ...preset.frameData, presetId };
+
+  for (const actor of actors) {
+    try {
+      await frameActorPrototype(actor, frameData);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Failed to apply preset to actor ${actor.name}:`, err);
+    }
+  }
+  for (const tokenDoc of tokens) {
+    try {
+      await frameTokenDocument(tokenDoc, frameData);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Failed to apply preset to token ${tokenDoc.name}:`, err);
+    }
+  }
+  debugLog(`Regenerated ${total} documents linked to preset ${preset.name}`);
+}
+
+/**
+ * Apply a preset to a placed token or an actor's prototype token
+ * @param {TokenDocument|Token|Actor} document
+ * @param {string} idOrName - Preset id or name
+ * @param {Object} [options]
+ * @param {boolean} [options.link=true] - Keep the document linked to the preset
+ * @returns {Promise<string|null>} Path of the framed image, or null on failure
+ */
+export async function applyPreset(document, idOrName, { link = true } = {}) {
+  const preset = getPreset(idOrName);
+  if (!preset) {
+    ui.notifications.warn(game.i18n.format('TOKEN-FRAMER.Presets.NotFound', { name: idOrName }));
+    return null;
+  }
+
+  const frameData = { ...preset.frameData, presetId: link ? preset.id : '' };
+  if (document.documentName === 'Actor') return frameActorPrototype(document, frameData);
+  return frameTokenDocument(document, frameData);
+}
+
+/**
+ * Ask for the name of a new preset
+ * @returns {Promise<string|null>} The trimmed name, or null if cancelled or left blank
+ */
+export async function promptPresetName() {
+  const name = await Dialog.prompt({
+    title: game.i18n.localize('TOKEN-FRAMER.Config.PresetSaveNew'),
+    content: `<div class="form-group"><label>${game.i18n.localize('TOKEN-FRAMER.Presets.Name')}</label>`
+           + '<input type="text" name="presetName" autofocus></div>',
+    callback: (html) => (html instanceof jQuery ? html[0] : html).querySelector('input[name="presetName"]').value,
+    rejectClose: false
+  });
+  return name?.trim() || null;
+}
+
+/**
+ * Fill a frame settings form (the Token Config section or the Frame Studio) from a preset's frameData
+ * Variants have no inputs in either form - callers handle them.
+ * @param {HTMLElement} rootEl
+ * @param {Object} frameData
+ */
+export async function applyPresetToForm(rootEl, frameData) {
+  for (const key of [...Object.keys(FRAME_DEFAULTS), ...OUTPUT_KEYS]) {
+    // Layers and gradient stops have their own editors (see setLayerRows and setBackgroundEditor)
+    if (key === 'layers' || key === 'bgStops') continue;
+    const input = rootEl.querySelector(`[name="flags.${MODULE_ID}.frameData.${key}"]`);
+    if (!input) continue;
+    const value = frameData[key] ?? FRAME_DEFAULTS[key] ?? '';
+
+    if (input.type === 'checkbox') {
+      input.checked = !!value;
+    } else {
+      input.value = value;
+    }
+
+    const valueDisplay = rootEl.querySelector(`.range-value[data-for="${input.name}"]`);
+    if (valueDisplay) valueDisplay.textContent = parseFloat(value).toFixed(input.step >= 1 ? 0 : 2);
+  }
+
+  const colorText = rootEl.querySelector(`input[name="flags.${MODULE_ID}.frameData.bgColorText"]`);
+  if (colorText) colorText.value = (frameData.bgColor ?? FRAME_DEFAULTS.bgColor).toUpperCase();
+
+  updateFrameFields(rootEl);
+  await setLayerRows(rootEl.querySelector('.tfl-layer-editor'), frameData.layers);
+  await setBackgroundEditor(rootEl.querySelector('.tfl-background-editor'), frameData);
+}
+
+/**
+ * Settings menu for renaming, editing and deleting presets
+ */
+export class PresetManager extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'token-framer-presets',
+    tag: 'form',
+    classes: ['token-framer-presets'],
+    window: {
+      title: 'TOKEN-FRAMER.Presets.Title',
+      icon: 'fas fa-layer-group',
+      resizable: true
+    },
+    position: { width: 560, height: 'auto' },
+    form: {
+      handler: PresetManager.#onSubmit,
+      closeOnSubmit: true
+    },
+    actions: {
+      createPreset: PresetManager.#onCreate,
+      duplicatePreset: PresetManager.#onDuplicate,
+      deletePreset: PresetManager.#onDelete
+    }
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/preset-manager.hbs` }
+  };
+
+  /** @override */
+  async _prepareContext() {
+    const presets = getPresets().map(preset => {
+      const { actors, tokens } = getLinkedDocuments(preset.id);
+      return { ...preset, linkedCount: actors.length + tokens.length };
+    });
+    return { presets };
+  }
+
+  /**
+   * Save edited names and images
+   */
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object).presets ?? {};
+    for (const [id, changes] of Object.entries(data)) {
+      const preset = getPreset(id);
+      if (!preset) continue;
+      const frameData = { ...preset.frameData, frameImage: changes.frameImage, maskImage: changes.maskImage };
+      await savePreset({ id, name: changes.name, frameData });
+    }
+  }
+
+  /**
+   * Create a new preset from the default frame settings
+   */
+  static async #onCreate() {
+    await savePreset({
+      name: game.i18n.localize('TOKEN-FRAMER.Presets.NewPreset'),
+      frameData: {
+        frameImage: game.settings.get(MODULE_ID, 'defaultFrameImage'),
+        baseScale: game.settings.get(MODULE_ID, 'defaultBaseScale'),
+        maskRadius: game.settings.get(MODULE_ID, 'defaultMaskRadius')
+      }
+    });
+    this.render();
+  }
+
+  /**
+   * Copy a preset under a new name
+   */
+  static async #onDuplicate(event, target) {
+    const preset = getPreset(target.closest('[data-preset-id]').dataset.presetId);
+    if (!preset) return;
+    await savePreset({
+      name: game.i18n.format('TOKEN-FRAMER.Presets.CopyName', { name: preset.name }),
+      frameData: preset.frameData
+    });
+    this.render();
+  }
+
+  /**
+   * Delete a preset after confirmation
+   */
+  static async #onDelete(event, target) {
+    const preset = getPreset(target.closest('[data-preset-id]').dataset.presetId);
+    if (!preset) return;
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('TOKEN-FRAMER.Presets.DeleteTitle'),
+      content: `<p>${game.i18n.format('TOKEN-FRAMER.Presets.DeleteConfirm', { name: preset.name })}</p>`
+    });
+    if (!confirmed) return;
+    await deletePreset(preset.id);
+    this.render();
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Token Framer - Interactive Preview Editing
+ * Drag a layer in the preview to set its offset, scroll or pinch to set its scale, and nudge
+ * it with the arrow keys. Dragging picks the layer from the modifier keys held (none: base,
+ * Shift: mask, Alt: frame). Edits are written to the form inputs, which fire their usual
+ * input events, so value displays and the preview stay in sync. While the eyedropper is armed,
+ * a click samples the preview's color instead.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { OFFSET_REFERENCE_SIZE } from './compositor.js';
+
+/**
+ * Editable layers and the frameData properties they move and scale
+ */
+const PREVIEW_LAYERS = {
+  base: { label: 'TOKEN-FRAMER.Config.LayerBase', x: 'baseOffsetX', y: 'baseOffsetY', scale: 'baseScale' },
+  mask: { label: 'TOKEN-FRAMER.Config.LayerMask', x: 'maskOffsetX', y: 'maskOffsetY', scale: 'maskScale' },
+  frame: { label: 'TOKEN-FRAMER.Config.LayerFrame', x: 'frameOffsetX', y: 'frameOffsetY', scale: 'frameScale' }
+};
+
+/**
+ * Scale change per wheel notch
+ */
+const WHEEL_SCALE_STEP = 0.01;
+
+/**
+ * Reference pixels moved per arrow key press (with Shift: NUDGE_LARGE_STEP)
+ */
+const NUDGE_STEP = 1;
+const NUDGE_LARGE_STEP = 10;
+
+/**
+ * Convert 0-255 channels to a #rrggbb color
+ */
+export function toHexColor(r, g, b) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Read the color of the preview image under a pointer
+ * @returns {string|null} #rrggbb, or null outside the image or on a transparent pixel
+ */
+function sampleImageColor(img, event) {
+  const rect = img.getBoundingClientRect();
+  const x = Math.floor((event.clientX - rect.left) / rect.width * img.naturalWidth);
+  const y = Math.floor((event.clientY - rect.top) / rect.height * img.naturalHeight);
+  if (!img.naturalWidth || x < 0 || y < 0 || x >= img.naturalWidth || y >= img.naturalHeight) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 1;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, x, y, 1, 1, 0, 0, 1, 1);
+  const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+  return a ? toHexColor(r, g, b) : null;
+}
+
+/**
+ * Pick the layer a pointer gesture edits from its modifier keys
+ * @returns {string|null} Null without a modifier, so the gesture keeps the selected layer
+ */
+function getLayerForEvent(event) {
+  if (event.shiftKey) return 'mask';
+  if (event.altKey) return 'frame';
+  return null;
+}
+
+/**
+ * Make a preview element editable
+ * @param {HTMLElement} previewEl - Element showing the preview, fitted to its longer side
+ * @param {HTMLElement} formEl - Element containing the frameData inputs
+ * @returns {{selectLayer: function(string): void, pickColor: function(): Promise<string|null>, cancelPickColor: function(): void}}
+ */
+export function activatePreviewEditing(previewEl, formEl) {
+  let selectedLayer = 'base';
+  const pointers = new Map();
+  let gesture = null;
+  // Resolves the armed eyedropper
+  let colorPick = null;
+
+  const layerButton = previewEl.querySelector('.tfl-preview-layer');
+  previewEl.tabIndex = 0;
+  previewEl.classList.add('tfl-preview-editable');
+
+  const getInput = (key) => formEl.querySelector(`input[name="flags.${MODULE_ID}.frameData.${key}"]`);
+  const getValue = (key) => parseFloat(getInput(key)?.value) || 0;
+
+  /**
+   * Write a value to an input (clamped to its range) and notify its listeners
+   */
+  const setValue = (key, value) => {
+    const input = getInput(key);
+    if (!input) return;
+    const min = input.min === '' ? -Infinity : parseFloat(input.min);
+    const max = input.max === '' ? Infinity : parseFloat(input.max);
+    const step = parseFloat(input.step) || 1;
+    const clamped = Math.min(max, Math.max(min, value));
+    input.value = step >= 1 ? Math.round(clamped) : clamped.toFixed(2);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const selectLayer = (layer) => {
+    selectedLayer = layer;
+    previewEl.dataset.layer = layer;
+    if (layerButton) layerButton.textContent = game.i18n.localize(PREVIEW_LAYERS[layer].label);
+  };
+  selectLayer(selectedLayer);
+
+  // Preview pixels to reference pixels (offsets are measured against the output's longer side)
+  const toReference = (pixels) => {
+    const size = Math.max(previewEl.clientWidth, previewEl.clientHeight);
+    return pixels * OFFSET_REFERENCE_SIZE / (size || OFFSET_REFERENCE_SIZE);
+  };
+
+  /**
+   * Arm the eyedropper: the next click on the preview samples a color instead of editing
+   * @returns {Promise<string|null>} The sampled color, or null if cancelled or nothing was sampled
+   */
+  const pickColor = () => {
+    cancelPickColor();
+    previewEl.classList.add('tfl-preview-picking');
+    return new Promise((resolve) => {
+      colorPick = resolve;
+    });
+  };
+
+  const cancelPickColor = (color = null) => {
+    previewEl.classList.remove('tfl-preview-picking');
+    colorPick?.(color);
+    colorPick = null;
+  };
+
+  const pinchDistance = () => {
+    const [a, b] = [...pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+  };
+
+  layerButton?.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const layers = Object.keys(PREVIEW_LAYERS);
+    selectLayer(layers[(layers.indexOf(selectedLayer) + 1) % layers.length]);
+  });
+  layerButton?.addEventListener('pointerdown', event => event.stopPropagation());
+
+  previewEl.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    previewEl.focus();
+    if (colorPick) {
+      const img = previewEl.querySelector('img');
+      cancelPickColor(img ? sampleImageColor(img, event) : null);
+      return;
+    }
+    previewEl.setPointerCapture(event.pointerId);
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (pointers.size === 1) {
+      selectLayer(getLayerForEvent(event) ?? selectedLayer);
+      const layer = PREVIEW_LAYERS[selectedLayer];
+      gesture = {
+        type: 'drag',
+        startX: event.clientX,
+        startY: event.clientY,
+        offsetX: getValue(layer.x),
+        offsetY: getValue(layer.y)
+      };
+    } else if (pointers.size === 2) {
+      gesture = { type: 'pinch', distance: pinchDistance(), scale: getValue(PREVIEW_LAYERS[selectedLayer].scale) };
+    }
+  });
+
+  previewEl.addEventListener('pointermove', (event) => {
+    if (!pointers.has(event.pointerId) || !gesture) return;
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    const layer = PREVIEW_LAYERS[selectedLayer];
+
+    if (gesture.type === 'drag') {
+      setValue(layer.x, gesture.offsetX + toReference(event.clientX - gesture.startX));
+      setValue(layer.y, gesture.offsetY + toReference(event.clientY - gesture.startY));
+    } else if (gesture.type === 'pinch' && pointers.size === 2) {
+      setValue(layer.scale, gesture.scale * pinchDistance() / gesture.distance);
+    }
+  });
+
+  const endPointer = (event) => {
+    pointers.delete(event.pointerId);
+    if (previewEl.hasPointerCapture(event.pointerId)) previewEl.releasePointerCapture(event.pointerId);
+    // Lifting one finger of a pinch ends the gesture rather than turning it into a drag
+    gesture = null;
+  };
+  previewEl.addEventListener('pointerup', endPointer);
+  previewEl.addEventListener('pointercancel', endPointer);
+
+  previewEl.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    // Trackpad pinches arrive as wheel events with ctrlKey set - they scale the selected layer
+    if (!event.ctrlKey) selectLayer(getLayerForEvent(event) ?? selectedLayer);
+    const key = PREVIEW_LAYERS[selectedLayer].scale;
+    // Some browsers turn Shift+wheel into horizontal scrolling
+    const delta = event.deltaY || event.deltaX;
+    const notches = event.ctrlKey ? -delta / 10 : -Math.sign(delta);
+    setValue(key, getValue(key) + notches * WHEEL_SCALE_STEP);
+  }, { passive: false });
+
+  previewEl.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && colorPick) {
+      event.preventDefault();
+      event.stopPropagation();
+      cancelPickColor();
+      return;
+    }
+    const direction = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1]
+    }[event.key];
+    if (!direction) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const step = event.shiftKey ? NUDGE_LARGE_STEP : NUDGE_STEP;
+    const layer = PREVIEW_LAYERS[selectedLayer];
+    if (direction[0]) setValue(layer.x, getValue(layer.x) + direction[0] * step);
+    if (direction[1]) setValue(layer.y, getValue(layer.y) + direction[1] * step);
+  });
+
+  return { selectLayer, pickColor, cancelPickColor };
+}
@@ -0,0 +1,181 @@
+/**
+ * Token Framer - Render Queue
+ * Still-image composites run in a small pool of module workers (OffscreenCanvas + ImageBitmap).
+ * Jobs wait in a bounded queue, and a job identical to one already queued or running shares
+ * its result instead of rendering twice. Video bases, browsers without OffscreenCanvas and
+ * failed worker jobs fall back to rendering on the main thread.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { renderComposite, canvasToBlob, isVideoPath } from './compositor.js';
+
+/**
+ * Renders running at once (one per worker)
+ */
+const MAX_CONCURRENT_RENDERS = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1));
+
+/**
+ * Jobs allowed to wait before new callers are held back
+ */
+const MAX_QUEUED_RENDERS = 200;
+
+const workers = [];
+const idleWorkers = [];
+const pendingJobs = [];
+const inFlightJobs = new Map();
+const workerCallbacks = new Map();
+const queueWaiters = [];
+let activeRenders = 0;
+let nextJobId = 0;
+let workersDisabled = false;
+
+/**
+ * Check if this browser can composite in a worker
+ */
+function canUseWorkers() {
+  return !workersDisabled && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Stop using workers for the rest of the session (e.g. the worker script failed to load)
+ */
+function disableWorkers(reason) {
+  if (workersDisabled) return;
+  workersDisabled = true;
+  console.warn(`${MODULE_ID} | Render worker unavailable, compositing on the main thread:`, reason);
+  for (const worker of workers) worker.terminate();
+  workers.length = 0;
+  idleWorkers.length = 0;
+  for (const callback of workerCallbacks.values()) callback({ error: reason?.message ?? String(reason) });
+  workerCallbacks.clear();
+}
+
+/**
+ * Take an idle worker, starting a new one while the pool has room
+ */
+function acquireWorker() {
+  if (idleWorkers.length) return idleWorkers.pop();
+  const worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (event) => {
+    const callback = workerCallbacks.get(event.data.id);
+    workerCallbacks.delete(event.data.id);
+    callback?.(event.data);
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    disableWorkers(event.message || event);
+  };
+  workers.push(worker);
+  return worker;
+}
+
+/**
+ * Composite one job in a worker
+ * @returns {Promise<Blob>}
+ */
+function renderInWorker(job) {
+  const worker = acquireWorker();
+  const id = ++nextJobId;
+  return new Promise((resolve, reject) => {
+    workerCallbacks.set(id, ({ blob, error }) => {
+      if (!workersDisabled) idleWorkers.push(worker);
+      if (error) reject(new Error(error));
+      else resolve(blob);
+    });
+    worker.postMessage({ id, baseUrl: document.baseURI, ...job });
+  });
+}
+
+/**
+ * Composite one job on the main thread
+ * @returns {Promise<Blob>}
+ */
+async function renderOnMainThread({ baseImagePath, frameData, size, quality, format }) {
+  const canvas = await renderComposite(baseImagePath, frameData, size);
+  return canvasToBlob(canvas, format, quality);
+}
+
+/**
+ * Run one job, in a worker when possible
+ */
+async function runJob(job) {
+  if (!canUseWorkers() || isVideoPath(job.baseImagePath)) return renderOnMainThread(job);
+  try {
+    return await renderInWorker(job);
+  } catch (err) {
+    debugLog('Worker render failed, retrying on the main thread:', err);
+    return renderOnMainThread(job);
+  }
+}
+
+/**
+ * Start waiting jobs while there is a free render slot
+ */
+function pumpQueue() {
+  while (activeRenders < MAX_CONCURRENT_RENDERS && pendingJobs.length) {
+    const { job, resolve, reject } = pendingJobs.shift();
+    queueWaiters.shift()?.();
+    activeRenders++;
+    runJob(job).then(resolve, reject).finally(() => {
+      activeRenders--;
+      pumpQueue();
+    });
+  }
+}
+
+/**
+ * Queue a job, waiting for room if the queue is full
+ */
+async function enqueueJob(job) {
+  while (pendingJobs.length >= MAX_QUEUED_RENDERS) {
+    await new Promise(resolve => queueWaiters.push(resolve));
+  }
+  return new Promise((resolve, reject) => {
+    pendingJobs.push({ job, resolve, reject });
+    pumpQueue();
+  });
+}
+
+/**
+ * Composite a still image through the render queue
+ * Identical requests made while one is queued or running share its result.
+ * @param {string} baseImagePath - Path to the unframed token image
+ * @param {Object} frameData - Frame configuration (offsets in reference pixels)
+ * @param {number} size - Output size in pixels (the longer side)
+ * @param {number} quality - 0-1
+ * @param {string} format - Output MIME type
+ * @returns {Promise<Blob>}
+ */
+export function queueComposite(baseImagePath, frameData, size, quality, format) {
+  const job = { baseImagePath, frameData, size, quality, format };
+  const key = JSON.stringify(job);
+  if (inFlightJobs.has(key)) {
+    debugLog('Sharing queued render:', baseImagePath);
+    return inFlightJobs.get(key);
+  }
+
+  const promise = enqueueJob(job).finally(() => inFlightJobs.delete(key));
+  inFlightJobs.set(key, promise);
+  return promise;
+}
+
+/**
+ * Run an async function over items with a limited number running at once
+ * @param {Array} items
+ * @param {function(*, number): Promise} fn - Called with each item and its index
+ * @param {number} [limit] - Defaults to the number of render workers
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapConcurrent(items, fn, limit = MAX_CONCURRENT_RENDERS) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
@@ -0,0 +1,20 @@
+/**
+ * Token Framer - Render Worker
+ * Runs the shared compositor on an OffscreenCanvas so still frames are rendered off the main thread.
+ * Messages in: { id, baseUrl, baseImagePath, frameData, size, quality, format }
+ * Messages out: { id, blob } on success, { id, error } on failure
+ */
+
+import { renderComposite, canvasToBlob, setImageBaseUrl } from './compositor.js';
+
+self.onmessage = async (event) => {
+  const { id, baseUrl, baseImagePath, frameData, size, quality, format } = event.data;
+  try {
+    setImageBaseUrl(baseUrl);
+    const canvas = await renderComposite(baseImagePath, frameData, size);
+    const blob = await canvasToBlob(canvas, format, quality);
+    self.postMessage({ id, blob });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message ?? String(err) });
+  }
+};
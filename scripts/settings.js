@@ -3,8 +3,12 @@
  * Registers global module settings
  */
 
-import { MODULE_ID } from './main.js';
+import { MODULE_ID } from './constants.js';
 import { applyFrameToToken, generateFrameForPrototype, regenerateAllFrames } from './frame-layer.js';
+import { cleanupCache } from './cache-cleanup.js';
+import { PresetManager } from './presets.js';
+import { BatchFramer } from './batch-frame.js';
+import { AutoFrameRulesConfig } from './auto-frame.js';
 
 /**
  * Register module settings
@@ -19,6 +23,42 @@ export function registerSettings() {
     restricted: true
   });
 
+  game.settings.registerMenu(MODULE_ID, 'presetManager', {
+    name: 'TOKEN-FRAMER.Settings.Presets.Name',
+    label: 'TOKEN-FRAMER.Settings.Presets.Label',
+    hint: 'TOKEN-FRAMER.Settings.Presets.Hint',
+    icon: 'fas fa-layer-group',
+    type: PresetManager,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'autoFrameRules', {
+    name: 'TOKEN-FRAMER.Settings.AutoFrame.Name',
+    label: 'TOKEN-FRAMER.Settings.AutoFrame.Label',
+    hint: 'TOKEN-FRAMER.Settings.AutoFrame.Hint',
+    icon: 'fas fa-wand-magic-sparkles',
+    type: AutoFrameRulesConfig,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'batchFrame', {
+    name: 'TOKEN-FRAMER.Settings.Batch.Name',
+    label: 'TOKEN-FRAMER.Settings.Batch.Label',
+    hint: 'TOKEN-FRAMER.Settings.Batch.Hint',
+    icon: 'fas fa-images',
+    type: BatchFramer,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'cleanupCache', {
+    name: 'TOKEN-FRAMER.Settings.Cleanup.Name',
+    label: 'TOKEN-FRAMER.Settings.Cleanup.Label',
+    hint: 'TOKEN-FRAMER.Settings.Cleanup.Hint',
+    icon: 'fas fa-broom',
+    type: TokenFramerCleanup,
+    restricted: true
+  });
+
   // Default frame image
   game.settings.register(MODULE_ID, 'defaultFrameImage', {
     name: 'TOKEN-FRAMER.Settings.DefaultFrameImage.Name',
@@ -41,7 +81,20 @@ export function registerSettings() {
     filePicker: 'folder'
   });
 
-  // Cache image resolution
+  // Cache image resolution: fixed, or sized from the scene grid and the token
+  game.settings.register(MODULE_ID, 'cacheResolutionMode', {
+    name: 'TOKEN-FRAMER.Settings.CacheResolutionMode.Name',
+    hint: 'TOKEN-FRAMER.Settings.CacheResolutionMode.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      fixed: 'TOKEN-FRAMER.Settings.CacheResolutionMode.Choices.fixed',
+      auto: 'TOKEN-FRAMER.Settings.CacheResolutionMode.Choices.auto'
+    },
+    default: 'fixed'
+  });
+
   game.settings.register(MODULE_ID, 'cacheResolution', {
     name: 'TOKEN-FRAMER.Settings.CacheResolution.Name',
     hint: 'TOKEN-FRAMER.Settings.CacheResolution.Hint',
@@ -51,6 +104,44 @@ export function registerSettings() {
     default: 1000
   });
 
+  game.settings.register(MODULE_ID, 'cacheResolutionMultiplier', {
+    name: 'TOKEN-FRAMER.Settings.CacheResolutionMultiplier.Name',
+    hint: 'TOKEN-FRAMER.Settings.CacheResolutionMultiplier.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: {
+      min: 0.5,
+      max: 4,
+      step: 0.25
+    },
+    default: 2
+  });
+
+  // Cache image format
+  game.settings.register(MODULE_ID, 'cacheFormat', {
+    name: 'TOKEN-FRAMER.Settings.CacheFormat.Name',
+    hint: 'TOKEN-FRAMER.Settings.CacheFormat.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      webp: 'TOKEN-FRAMER.Output.Formats.webp',
+      png: 'TOKEN-FRAMER.Output.Formats.png',
+      avif: 'TOKEN-FRAMER.Output.Formats.avif'
+    },
+    default: 'webp'
+  });
+
+  game.settings.register(MODULE_ID, 'cacheLossless', {
+    name: 'TOKEN-FRAMER.Settings.CacheLossless.Name',
+    hint: 'TOKEN-FRAMER.Settings.CacheLossless.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   // Cache image quality
   game.settings.register(MODULE_ID, 'cacheQuality', {
     name: 'TOKEN-FRAMER.Settings.CacheQuality.Name',
@@ -66,6 +157,16 @@ export function registerSettings() {
     default: 0.95
   });
 
+  // Record animated base images as animated WebM
+  game.settings.register(MODULE_ID, 'animatedOutput', {
+    name: 'TOKEN-FRAMER.Settings.AnimatedOutput.Name',
+    hint: 'TOKEN-FRAMER.Settings.AnimatedOutput.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
   // Default base scale for new frames
   game.settings.register(MODULE_ID, 'defaultBaseScale', {
     name: 'TOKEN-FRAMER.Settings.DefaultBaseScale.Name',
@@ -105,6 +206,30 @@ export function registerSettings() {
     type: Boolean,
     default: false
   });
+
+  // Named frame presets, keyed by id: { id, name, frameData }
+  game.settings.register(MODULE_ID, 'presets', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Ordered auto-frame rules: { id, enabled, actorType, disposition, folderId, pattern, presetId }
+  game.settings.register(MODULE_ID, 'autoFrameRules', {
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  // Stored frameData schema version (used by the world migration)
+  game.settings.register(MODULE_ID, 'schemaVersion', {
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 0
+  });
 }
 
 /**
@@ -117,4 +242,14 @@ class TokenFramerMaintenance extends FormApplication {
     regenerateAllFrames();
     return this;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Same "Dummy" pattern as above, running the cache cleanup scan instead.
+ */
+class TokenFramerCleanup extends FormApplication {
+  render() {
+    cleanupCache();
+    return this;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Token Framer - Delegated Rendering
+ * One connected client is elected to render each document: the active GM, or when no GM is
+ * connected, the first active owner who can upload files. Any other client that wants the
+ * document framed (including players without the FILES_UPLOAD permission) sends the job over
+ * the module socket to that client, which renders, uploads and updates the document, then
+ * reports the result back. This keeps owners from rendering and updating the same token at once.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog, performAsyncFrameUpdate, getUpdatedFrameData } from './main.js';
+import { applyFrameToToken, frameTokenDocument, frameActorPrototype } from './frame-layer.js';
+
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/**
+ * How long a client waits for the elected renderer before giving up on a job
+ */
+const REQUEST_TIMEOUT_MS = 120000;
+
+// Jobs this client is waiting on, by request id
+const pendingRequests = new Map();
+
+// Identical jobs already sent, so repeated triggers share one request
+const sentRequests = new Map();
+
+// Jobs this client is running for others, so identical requests share one render
+const runningJobs = new Map();
+
+/**
+ * Token changes that set a frame: the image the renderer frames and the module's frameData flag
+ */
+function frameChanges(src, frameData = {}) {
+  return { texture: { src }, flags: { [MODULE_ID]: { frameData } } };
+}
+
+/**
+ * Jobs the elected client runs for others. `run` resolves to the framed image path, or null.
+ * The renderer writes with its own rights, so `changes` describes what the job writes for the
+ * requester - they must be allowed to make that update themselves.
+ */
+const RENDER_JOBS = {
+  applyFrame: {
+    run: (doc, { force }) => applyFrameToToken(doc, force),
+    changes: (doc) => frameChanges(doc.texture.src)
+  },
+  frameToken: {
+    run: (doc, { frameData, baseImage, force }) => frameTokenDocument(doc, frameData, { baseImage, force }),
+    changes: (doc, { frameData, baseImage }) => frameChanges(baseImage ?? doc.texture.src, frameData)
+  },
+  frameActor: {
+    run: (doc, { frameData, baseImage, force }) => frameActorPrototype(doc, frameData, { baseImage, force }),
+    changes: (doc, { frameData, baseImage }) => ({
+      prototypeToken: frameChanges(baseImage ?? doc.prototypeToken.texture.src, frameData)
+    })
+  },
+  // The image and frameData are read from the update itself, not taken from the requester
+  interceptedUpdate: {
+    run: (doc, { changes }) => performAsyncFrameUpdate(doc, changes, changes.texture?.src, getUpdatedFrameData(doc, changes)),
+    changes: (doc, { changes }) => changes
+  }
+};
+
+/**
+ * Check if this user can write cached frames itself
+ */
+export function canUploadToCache() {
+  return game.user.can('FILES_UPLOAD');
+}
+
+/**
+ * Elect the client that renders a document: the active GM, else the first active owner
+ * (by user id) who can upload files
+ * @param {TokenDocument|Actor} doc
+ * @returns {User|null} Null if no connected user can render it
+ */
+export function getRenderer(doc) {
+  if (game.users.activeGM) return game.users.activeGM;
+  return game.users
+    .filter(user => user.active && user.can('FILES_UPLOAD') && doc.testUserPermission(user, 'OWNER'))
+    .sort((a, b) => a.id.localeCompare(b.id))[0] ?? null;
+}
+
+/**
+ * Check if this client is the one elected to render a document
+ * @param {TokenDocument|Actor} doc
+ */
+export function isRenderer(doc) {
+  return getRenderer(doc)?.isSelf ?? false;
+}
+
+/**
+ * Listen for render jobs and results
+ */
+export function registerSocket() {
+  game.socket.on(SOCKET_NAME, (message) => {
+    if (message.action === 'render' && message.rendererId === game.user.id) handleRenderRequest(message);
+    else if (message.action === 'renderResult' && message.userId === game.user.id) handleRenderResult(message);
+  });
+}
+
+/**
+ * Ask the client elected for a document to frame it, and wait for its result
+ * Players who couldn't have rendered it themselves are notified when the job finishes;
+ * failures are always reported.
+ * @param {string} type - Job name (see RENDER_JOBS)
+ * @param {TokenDocument|Actor} doc - Document to frame (this user must own it)
+ * @param {Object} [data] - Job arguments
+ * @returns {Promise<string|null>} Path of the framed image, or null if nobody can render it or the job failed
+ */
+export function requestRender(type, doc, data = {}) {
+  const renderer = getRenderer(doc);
+  if (!renderer) {
+    ui.notifications.warn(game.i18n.format('TOKEN-FRAMER.Delegate.NoRenderer', { name: doc.name }));
+    return Promise.resolve(null);
+  }
+
+  const key = JSON.stringify({ type, uuid: doc.uuid, data });
+  if (sentRequests.has(key)) return sentRequests.get(key);
+
+  const requestId = foundry.utils.randomID();
+  debugLog(`Asking ${renderer.name} to render "${type}" for ${doc.name}`);
+  const promise = new Promise((resolve) => {
+    const timeout = setTimeout(() => handleRenderResult({
+      requestId, error: game.i18n.localize('TOKEN-FRAMER.Delegate.Timeout')
+    }), REQUEST_TIMEOUT_MS);
+    pendingRequests.set(requestId, {
+      name: doc.name, renderer: renderer.name, notify: !canUploadToCache(), resolve, timeout
+    });
+    game.socket.emit(SOCKET_NAME, {
+      action: 'render', requestId, userId: game.user.id, rendererId: renderer.id, type, uuid: doc.uuid, data
+    });
+  }).finally(() => sentRequests.delete(key));
+  sentRequests.set(key, promise);
+  return promise;
+}
+
+/**
+ * A job this client sent has finished on the renderer's side
+ */
+function handleRenderResult({ requestId, path, error }) {
+  const request = pendingRequests.get(requestId);
+  if (!request) return;
+  pendingRequests.delete(requestId);
+  clearTimeout(request.timeout);
+
+  if (error || !path) {
+    ui.notifications.error(game.i18n.format('TOKEN-FRAMER.Delegate.Failed', {
+      user: request.renderer,
+      name: request.name,
+      error: error || game.i18n.localize('TOKEN-FRAMER.Batch.RenderFailed')
+    }));
+  } else if (request.notify) {
+    ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Delegate.Complete', { user: request.renderer, name: request.name }));
+  }
+  request.resolve(path ?? null);
+}
+
+/**
+ * Run another client's job and send back the result
+ */
+async function handleRenderRequest({ requestId, userId, type, uuid, data }) {
+  let path = null;
+  let error = null;
+  try {
+    const user = game.users.get(userId);
+    const doc = await fromUuid(uuid);
+    const job = Object.hasOwn(RENDER_JOBS, type) ? RENDER_JOBS[type] : null;
+    if (!job || !doc) throw new Error(game.i18n.format('TOKEN-FRAMER.Delegate.NotFound', { uuid }));
+    if (!user || !doc.testUserPermission(user, 'OWNER')) {
+      throw new Error(game.i18n.format('TOKEN-FRAMER.Delegate.NotOwner', { name: doc.name }));
+    }
+    if (!doc.canUserModify(user, 'update', job.changes(doc, data))) {
+      throw new Error(game.i18n.format('TOKEN-FRAMER.Delegate.NotPermitted', { name: doc.name }));
+    }
+
+    // Several owners may ask for the same job at once - render it once and answer them all
+    const key = JSON.stringify({ type, uuid, data });
+    if (!runningJobs.has(key)) {
+      debugLog(`Rendering "${type}" for ${user.name}: ${doc.name}`);
+      runningJobs.set(key, job.run(doc, data).finally(() => runningJobs.delete(key)));
+    }
+    path = await runningJobs.get(key);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Delegated render failed for ${uuid}:`, err);
+    error = err.message;
+  }
+  game.socket.emit(SOCKET_NAME, { action: 'renderResult', requestId, userId, path, error });
+}
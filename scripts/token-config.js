@@ -5,8 +5,25 @@
  * Updated for TVA compatibility - uses data attributes instead of fieldset wrapper
  */
 
-import { MODULE_ID, debugLog } from './main.js';
-import { applyFrameToToken, restoreOriginalImage, generateFrameForPrototype } from './frame-layer.js';
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import {
+  applyFrameToToken, restoreOriginalImage, restorePrototypeImage, generateFrameForPrototype, resolveDispositionTint,
+  resolveTokenAspect, getTokenAspect, OUTPUT_FORMATS
+} from './frame-layer.js';
+import { recoverOriginalImage } from './cache-manifest.js';
+import { getPresets, getPreset, savePreset, promptPresetName, applyPresetToForm } from './presets.js';
+import { FRAME_DEFAULTS, renderComposite, resolveLayers, resolveGradientStops } from './compositor.js';
+import { createVariant, normalizeVariants, VARIANT_GLOW_SIZE } from './variants.js';
+import { renderLayerRows, readLayers, activateLayerEditor } from './layers.js';
+import {
+  getBackgroundTypeOptions, renderStopRows, readGradientStops, activateBackgroundEditor
+} from './backgrounds.js';
+import { getSelectOptions, activateFrameFields } from './frame-fields.js';
+import { migrateFrameData, FRAME_DATA_VERSION } from './migration.js';
+import { isRenderer, requestRender } from './socket.js';
+import { activatePreviewEditing } from './preview-editor.js';
+import { FrameStudio } from './frame-studio.js';
 
 // Debounce timer for preview updates
 let previewDebounceTimer = null;
@@ -32,181 +49,15 @@ function getDefaultSettings() {
 }
 
 /**
- * Load an image and return as HTMLImageElement
- */
-function loadImage(src) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => resolve(img);
-    img.onerror = () => reject(new Error(`Failed to load: ${src}`));
-    img.src = src;
-  });
-}
-
-/**
- * Generate a preview image using Canvas compositing
+ * Generate a preview image using the shared compositor
  */
 async function generatePreview(baseImagePath, frameData, size = 200) {
-  const {
-    frameImage,
-    maskImage,
-    baseScale = 0.9,
-    baseOffsetX = 0,
-    baseOffsetY = 0,
-    maskRadius = 0.95,
-    maskScale = 1.0,
-    maskOffsetX = 0,
-    maskOffsetY = 0,
-    frameScale = 1.0,
-    frameOffsetX = 0,
-    frameOffsetY = 0,
-    bgEnabled = false,
-    bgColor = '#000000'
-  } = frameData;
-
-  if (!baseImagePath || !frameImage) {
+  if (!baseImagePath || !frameData.frameImage) {
     return null;
   }
 
-  // Create canvas
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-  
-  const centerX = size / 2;
-  const centerY = size / 2;
-
   try {
-    // Load images
-    const [baseImg, frameImg, maskImg] = await Promise.all([
-      loadImage(baseImagePath),
-      loadImage(frameImage),
-      maskImage ? loadImage(maskImage).catch(() => null) : null
-    ]);
-
-    // Calculate base image dimensions maintaining aspect ratio
-    const baseAspect = baseImg.width / baseImg.height;
-    let baseDrawWidth, baseDrawHeight;
-    let baseDrawY; // Vertical position for the base image
-    
-    // Scale offsets proportionally to preview size
-    const offsetScale = size / 512; // Assuming 512 is the full-size reference
-    const scaledBaseOffsetX = baseOffsetX * offsetScale;
-    const scaledBaseOffsetY = baseOffsetY * offsetScale;
-    const scaledMaskOffsetX = maskOffsetX * offsetScale;
-    const scaledMaskOffsetY = maskOffsetY * offsetScale;
-    const scaledFrameOffsetX = frameOffsetX * offsetScale;
-    const scaledFrameOffsetY = frameOffsetY * offsetScale;
-    
-    if (baseAspect >= 1) {
-      // Wider than tall or square - fit to height, center vertically
-      baseDrawHeight = size * baseScale;
-      baseDrawWidth = baseDrawHeight * baseAspect;
-      baseDrawY = centerY - baseDrawHeight / 2 + scaledBaseOffsetY;
-    } else {
-      // Taller than wide (portrait) - fit to width, align to TOP
-      baseDrawWidth = size * baseScale;
-      baseDrawHeight = baseDrawWidth / baseAspect;
-      baseDrawY = centerY - (size * baseScale / 2) + scaledBaseOffsetY;
-    }
-    
-    // Horizontal position is always centered
-    const baseDrawX = centerX - baseDrawWidth / 2 + scaledBaseOffsetX;
-
-    // Apply mask (independent of base image settings)
-    ctx.save();
-    
-    if (maskImg) {
-      // Use custom mask with luminosity-to-alpha conversion
-      // First, draw background and base image to a temporary canvas
-      const baseCanvas = document.createElement('canvas');
-      baseCanvas.width = size;
-      baseCanvas.height = size;
-      const baseCtx = baseCanvas.getContext('2d');
-      
-      // Draw background color first if enabled
-      if (bgEnabled && bgColor) {
-        baseCtx.fillStyle = bgColor;
-        baseCtx.fillRect(0, 0, size, size);
-      }
-      
-      // Draw base image on top of background
-      baseCtx.drawImage(
-        baseImg,
-        baseDrawX,
-        baseDrawY,
-        baseDrawWidth,
-        baseDrawHeight
-      );
-      
-      // Draw mask and convert luminosity to alpha
-      const maskCanvas = document.createElement('canvas');
-      maskCanvas.width = size;
-      maskCanvas.height = size;
-      const maskCtx = maskCanvas.getContext('2d');
-      
-      const maskDrawSize = size * maskScale;
-      maskCtx.drawImage(
-        maskImg,
-        centerX - maskDrawSize / 2 + scaledMaskOffsetX,
-        centerY - maskDrawSize / 2 + scaledMaskOffsetY,
-        maskDrawSize,
-        maskDrawSize
-      );
-      
-      // Convert mask luminosity to alpha (white = visible, black = hidden)
-      const maskData = maskCtx.getImageData(0, 0, size, size);
-      const pixels = maskData.data;
-      for (let i = 0; i < pixels.length; i += 4) {
-        const luminosity = (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
-        pixels[i + 3] = Math.min(pixels[i + 3], luminosity);
-      }
-      maskCtx.putImageData(maskData, 0, 0);
-      
-      // Apply the alpha mask to the base image
-      baseCtx.globalCompositeOperation = 'destination-in';
-      baseCtx.drawImage(maskCanvas, 0, 0);
-      
-      // Draw the masked base to the main canvas
-      ctx.drawImage(baseCanvas, 0, 0);
-      
-    } else {
-      // Circular clip path (uses maskRadius and mask offset)
-      ctx.beginPath();
-      const radius = (size / 2) * maskRadius;
-      ctx.arc(centerX + scaledMaskOffsetX, centerY + scaledMaskOffsetY, radius, 0, Math.PI * 2);
-      ctx.clip();
-      
-      // Draw background color first if enabled
-      if (bgEnabled && bgColor) {
-        ctx.fillStyle = bgColor;
-        ctx.fillRect(0, 0, size, size);
-      }
-      
-      // Draw base image on top of background
-      ctx.drawImage(
-        baseImg,
-        baseDrawX,
-        baseDrawY,
-        baseDrawWidth,
-        baseDrawHeight
-      );
-    }
-
-    ctx.restore();
-
-    // Draw frame overlay
-    const frameSize = size * frameScale;
-    ctx.drawImage(
-      frameImg,
-      centerX - frameSize / 2 + scaledFrameOffsetX,
-      centerY - frameSize / 2 + scaledFrameOffsetY,
-      frameSize,
-      frameSize
-    );
-
+    const canvas = await renderComposite(baseImagePath, frameData, size);
     return canvas.toDataURL('image/png');
   } catch (err) {
     console.error(`${MODULE_ID} | Preview generation failed:`, err);
@@ -224,12 +75,31 @@ async function renderTokenFrameSettings(app, html, data) {
     return;
   }
 
-  const frameData = await token.getFlag(MODULE_ID, 'frameData') ?? {};
+  const frameData = migrateFrameData(await token.getFlag(MODULE_ID, 'frameData') ?? {});
   const defaults = getDefaultSettings();
-  const originalImage = await token.getFlag(MODULE_ID, 'originalImage') ?? token.texture?.src ?? '';
+  let originalImage = await token.getFlag(MODULE_ID, 'originalImage') ?? token.texture?.src ?? '';
+  if (isFromCache(originalImage)) {
+    // Flag was lost - the cache manifest remembers which image this file was rendered from
+    originalImage = await recoverOriginalImage(originalImage) ?? originalImage;
+  }
+
+  const variants = normalizeVariants(frameData.variants);
+  const variantRows = await Promise.all(variants.map(variant => renderVariantRow(variant, token)));
+  const layers = resolveLayers(frameData.layers);
+  const bgStops = resolveGradientStops(frameData.bgStops, frameData.bgColor);
 
   const templateData = {
     moduleId: MODULE_ID,
+    variantsJson: JSON.stringify(variants),
+    variantRows: variantRows.join(''),
+    layersJson: JSON.stringify(layers),
+    layerRows: await renderLayerRows(layers),
+    isGM: game.user.isGM,
+    presets: getPresets().map(preset => ({
+      id: preset.id,
+      name: preset.name,
+      selected: preset.id === frameData.presetId
+    })),
     originalImage,
     frameEnabled: frameData.enabled ? 'checked' : '',
     frameImage: frameData.frameImage ?? defaults.defaultFrameImage,
@@ -237,15 +107,57 @@ async function renderTokenFrameSettings(app, html, data) {
     baseScale: frameData.baseScale ?? defaults.baseScale,
     baseOffsetX: frameData.baseOffsetX ?? 0,
     baseOffsetY: frameData.baseOffsetY ?? 0,
+    baseFits: getSelectOptions('baseFit', frameData.baseFit ?? FRAME_DEFAULTS.baseFit),
+    baseAnchors: getSelectOptions('baseAnchor', frameData.baseAnchor ?? FRAME_DEFAULTS.baseAnchor),
+    baseRotation: frameData.baseRotation ?? FRAME_DEFAULTS.baseRotation,
+    baseFlipX: frameData.baseFlipX ? 'checked' : '',
+    baseFlipY: frameData.baseFlipY ? 'checked' : '',
     maskRadius: frameData.maskRadius ?? defaults.maskRadius,
     maskScale: frameData.maskScale ?? 1.0,
     maskOffsetX: frameData.maskOffsetX ?? 0,
     maskOffsetY: frameData.maskOffsetY ?? 0,
+    maskShapes: getSelectOptions('maskShape', frameData.maskShape ?? FRAME_DEFAULTS.maskShape),
+    maskExpand: frameData.maskExpand ?? FRAME_DEFAULTS.maskExpand,
+    maskAspect: frameData.maskAspect ?? FRAME_DEFAULTS.maskAspect,
+    maskCornerRadius: frameData.maskCornerRadius ?? FRAME_DEFAULTS.maskCornerRadius,
+    maskModes: getSelectOptions('maskMode', frameData.maskMode ?? FRAME_DEFAULTS.maskMode),
+    maskInvert: frameData.maskInvert ? 'checked' : '',
+    maskFeather: frameData.maskFeather ?? FRAME_DEFAULTS.maskFeather,
     frameScale: frameData.frameScale ?? 1.0,
     frameOffsetX: frameData.frameOffsetX ?? 0,
     frameOffsetY: frameData.frameOffsetY ?? 0,
+    frameSlices: getSelectOptions('frameSlice', frameData.frameSlice ?? FRAME_DEFAULTS.frameSlice),
+    frameSliceTop: frameData.frameSliceTop ?? FRAME_DEFAULTS.frameSliceTop,
+    frameSliceRight: frameData.frameSliceRight ?? FRAME_DEFAULTS.frameSliceRight,
+    frameSliceBottom: frameData.frameSliceBottom ?? FRAME_DEFAULTS.frameSliceBottom,
+    frameSliceLeft: frameData.frameSliceLeft ?? FRAME_DEFAULTS.frameSliceLeft,
+    frameSliceEdges: getSelectOptions('frameSliceEdges', frameData.frameSliceEdges ?? FRAME_DEFAULTS.frameSliceEdges),
+    frameHue: frameData.frameHue ?? FRAME_DEFAULTS.frameHue,
+    frameSaturation: frameData.frameSaturation ?? FRAME_DEFAULTS.frameSaturation,
+    frameBrightness: frameData.frameBrightness ?? FRAME_DEFAULTS.frameBrightness,
+    frameTint: frameData.frameTint ?? FRAME_DEFAULTS.frameTint,
+    frameTintStrength: frameData.frameTintStrength ?? FRAME_DEFAULTS.frameTintStrength,
+    frameTintDisposition: frameData.frameTintDisposition ? 'checked' : '',
     bgEnabled: frameData.bgEnabled ? 'checked' : '',
-    bgColor: frameData.bgColor ?? '#000000'
+    bgColor: frameData.bgColor ?? '#000000',
+    bgTypes: getBackgroundTypeOptions(frameData.bgType ?? FRAME_DEFAULTS.bgType),
+    bgStopsJson: JSON.stringify(bgStops),
+    bgStopRows: await renderStopRows(bgStops),
+    bgAngle: frameData.bgAngle ?? FRAME_DEFAULTS.bgAngle,
+    bgImage: frameData.bgImage ?? '',
+    bgScale: frameData.bgScale ?? FRAME_DEFAULTS.bgScale,
+    bgOffsetX: frameData.bgOffsetX ?? 0,
+    bgOffsetY: frameData.bgOffsetY ?? 0,
+    bgBlur: frameData.bgBlur ?? FRAME_DEFAULTS.bgBlur,
+    outputFormats: getOutputOptions(Object.keys(OUTPUT_FORMATS), 'TOKEN-FRAMER.Output.Formats', frameData.outputFormat),
+    outputCompressions: getOutputOptions(
+      ['lossy', 'lossless'], 'TOKEN-FRAMER.Output.Compressions', frameData.outputCompression
+    ),
+    outputResolutionModes: getOutputOptions(
+      ['fixed', 'auto'], 'TOKEN-FRAMER.Output.ResolutionModes', frameData.outputResolutionMode
+    ),
+    outputResolution: frameData.outputResolution || '',
+    defaultResolution: game.settings.get(MODULE_ID, 'cacheResolution')
   };
 
   const rootEl = html instanceof jQuery ? html[0] : html;
@@ -287,7 +199,14 @@ async function updatePreview(rootEl, baseImagePath) {
   
   if (!previewImg) return;
 
-  const frameData = gatherFrameFormData(rootEl);
+  // Tint with the disposition and shape with the size currently chosen in the sheet, saved or not
+  let frameData = resolveDispositionTint(gatherFrameFormData(rootEl), getFormDisposition(rootEl));
+  frameData = resolveTokenAspect(frameData, getFormAspect(rootEl));
+
+  // Show a variant's overrides while its preview toggle is on
+  const previewVariantId = rootEl.querySelector('[data-token-framer="variants"] .tfl-variant-list')?.dataset.previewVariant;
+  const previewVariant = frameData.variants.find(variant => variant.id === previewVariantId);
+  if (previewVariant) frameData = { ...frameData, ...previewVariant.overrides };
   
   // Check if we have minimum required data
   if (!baseImagePath || !frameData.frameImage) {
@@ -504,7 +423,7 @@ function activateListeners(rootEl, app, token, originalImage) {
     const valueDisplay = rootEl.querySelector(`.range-value[data-for="${input.name}"]`);
     input.addEventListener('input', () => {
       if (valueDisplay) {
-        valueDisplay.textContent = parseFloat(input.value).toFixed(2);
+        valueDisplay.textContent = parseFloat(input.value).toFixed(input.step >= 1 ? 0 : 2);
       }
       debouncedPreviewUpdate(rootEl, baseImageState.path);
     });
@@ -553,6 +472,45 @@ function activateListeners(rootEl, app, token, originalImage) {
     });
   }
 
+  // Base fit, anchor and flip, mask shape and frame fit (which show the fields they use), mask mode
+  // and invert, and 9-slice edge mode - trigger preview on change
+  activateFrameFields(rootEl, () => debouncedPreviewUpdate(rootEl, baseImageState.path));
+
+  // Frame tint color and follow-disposition toggle - trigger preview on change
+  const frameTintPicker = rootEl.querySelector(`input[name="flags.${MODULE_ID}.frameData.frameTint"]`);
+  frameTintPicker?.addEventListener('input', () => debouncedPreviewUpdate(rootEl, baseImageState.path));
+  const frameTintDisposition = rootEl.querySelector(`input[name="flags.${MODULE_ID}.frameData.frameTintDisposition"]`);
+  frameTintDisposition?.addEventListener('change', () => debouncedPreviewUpdate(rootEl, baseImageState.path));
+
+  // Disposition changes in the Identity tab recolor frames that follow it
+  rootEl.querySelector('select[name="disposition"]')?.addEventListener('change', () => {
+    if (frameTintDisposition?.checked) debouncedPreviewUpdate(rootEl, baseImageState.path);
+  });
+
+  // Size changes in the Appearance tab reshape non-square previews
+  for (const dimension of ['width', 'height']) {
+    rootEl.querySelector(`input[name="${dimension}"]`)?.addEventListener('change', () => {
+      debouncedPreviewUpdate(rootEl, baseImageState.path);
+    });
+  }
+
+  activateVariantListeners(rootEl, token, () => debouncedPreviewUpdate(rootEl, baseImageState.path));
+  activateLayerEditor(
+    rootEl.querySelector('[data-token-framer="layers"]'),
+    () => debouncedPreviewUpdate(rootEl, baseImageState.path)
+  );
+
+  // Drag, scroll and arrow-key editing in the preview (writes to the inputs above)
+  const previewWrapper = rootEl.querySelector('[data-token-framer="preview"] .tfl-preview-wrapper');
+  const previewEditor = previewWrapper ? activatePreviewEditing(previewWrapper, rootEl) : null;
+
+  // Background type, gradient stops, eyedropper (samples the preview) and Auto color
+  activateBackgroundEditor(
+    rootEl.querySelector('.tfl-background-editor'),
+    () => debouncedPreviewUpdate(rootEl, baseImageState.path),
+    { preview: previewEditor, getBaseImage: () => baseImageState.path }
+  );
+
   // Background enable checkbox - trigger preview on change
   const bgEnabledCheckbox = rootEl.querySelector(`input[name="flags.${MODULE_ID}.frameData.bgEnabled"]`);
   if (bgEnabledCheckbox) {
@@ -586,6 +544,55 @@ function activateListeners(rootEl, app, token, originalImage) {
     updateDependentVisibility();
   }
 
+  // Preset dropdown - load the preset into the form; keeping it selected links the token to it
+  const presetSelect = rootEl.querySelector('[data-token-framer="preset"] .tfl-preset-select');
+  if (presetSelect) {
+    presetSelect.addEventListener('change', async () => {
+      const preset = getPreset(presetSelect.value);
+      if (!preset) return;
+      await applyPresetToForm(rootEl, preset.frameData);
+      await setVariantRows(rootEl, token, normalizeVariants(preset.frameData.variants));
+      debouncedPreviewUpdate(rootEl, baseImageState.path);
+      debugLog('Preset loaded into form:', preset.name);
+    });
+  }
+
+  // Save current form values as a new preset
+  const presetSaveButton = rootEl.querySelector('[data-token-framer="preset"] .tfl-preset-save');
+  if (presetSaveButton && presetSelect) {
+    presetSaveButton.addEventListener('click', async () => {
+      const name = await promptPresetName();
+      if (!name) return;
+
+      const presetId = await savePreset({ name, frameData: gatherFrameFormData(rootEl) });
+      const option = document.createElement('option');
+      option.value = presetId;
+      option.textContent = name;
+      presetSelect.appendChild(option);
+      presetSelect.value = presetId;
+      ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Presets.Saved', { name }));
+    });
+  }
+
+  // Overwrite the selected preset with current form values (regenerates linked tokens)
+  const presetUpdateButton = rootEl.querySelector('[data-token-framer="preset"] .tfl-preset-update');
+  if (presetUpdateButton && presetSelect) {
+    presetUpdateButton.addEventListener('click', async () => {
+      const preset = getPreset(presetSelect.value);
+      if (!preset) {
+        ui.notifications.warn(game.i18n.localize('TOKEN-FRAMER.Presets.NoneSelected'));
+        return;
+      }
+      const confirmed = await Dialog.confirm({
+        title: game.i18n.localize('TOKEN-FRAMER.Config.PresetUpdate'),
+        content: `<p>${game.i18n.format('TOKEN-FRAMER.Presets.UpdateConfirm', { name: preset.name })}</p>`
+      });
+      if (!confirmed) return;
+      await savePreset({ id: preset.id, frameData: gatherFrameFormData(rootEl) });
+      ui.notifications.info(game.i18n.format('TOKEN-FRAMER.Presets.Saved', { name: preset.name }));
+    });
+  }
+
   // Apply Frame button
   const applyButton = rootEl.querySelector('[data-token-framer="actions"] .tfl-preview-button');
   if (applyButton) {
@@ -609,9 +616,12 @@ function activateListeners(rootEl, app, token, originalImage) {
         // Prototype token - get the actor first
         const actor = game.actors.get(token.actorId) || token.actor;
         
-        if (actor) {
+        if (actor && !isRenderer(actor)) {
+          // Another client is elected to render this actor - it renders and saves the prototype token
+          await requestRender('frameActor', actor, { frameData: formData, baseImage: baseImageState.path, force: true });
+        } else if (actor) {
           // Pre-generate the cached frame using actor ID for consistent filename
-          const cachedPath = await generateFrameForPrototype(baseImageState.path, formData, actor.id);
+          const cachedPath = await generateFrameForPrototype(baseImageState.path, formData, actor.id, { force: true });
           
           if (cachedPath) {
             // Update the prototype token's texture.src and flags
@@ -638,6 +648,16 @@ function activateListeners(rootEl, app, token, originalImage) {
     });
   }
 
+  // Frame Studio button - carries over the unsaved form values
+  const studioButton = rootEl.querySelector('[data-token-framer="actions"] .tfl-studio-button');
+  studioButton?.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const target = token.documentName === 'Token' ? token : game.actors.get(token.actorId) ?? token.actor;
+    if (!target) return;
+    FrameStudio.open(target, { frameData: gatherFrameFormData(rootEl), baseImage: baseImageState.path });
+  });
+
   // Restore Original button
   const restoreButton = rootEl.querySelector('[data-token-framer="actions"] .tfl-restore-button');
   if (restoreButton) {
@@ -652,20 +672,10 @@ function activateListeners(rootEl, app, token, originalImage) {
         debugLog('Base image restored for token:', placedToken.name);
       } else {
         // Prototype token - restore original texture and clear flags
-        const originalImagePath = token.getFlag(MODULE_ID, 'originalImage');
         const actor = game.actors.get(token.actorId) || token.actor;
+        const restored = actor ? await restorePrototypeImage(actor) : false;
         
-        if (actor && originalImagePath) {
-          // Restore the original texture and clear all flags
-          await actor.update({
-            'prototypeToken.texture.src': originalImagePath,
-            [`prototypeToken.flags.${MODULE_ID}.-=frameData`]: null,
-            [`prototypeToken.flags.${MODULE_ID}.-=originalImage`]: null,
-            [`prototypeToken.flags.${MODULE_ID}.-=currentCacheKey`]: null,
-            [`prototypeToken.flags.${MODULE_ID}.-=cachedFramePath`]: null
-          });
-          debugLog('Prototype token restored to base image');
-        } else {
+        if (!restored) {
           // Fallback: just unset flags
           await token.unsetFlag(MODULE_ID, 'frameData');
           await token.unsetFlag(MODULE_ID, 'originalImage');
@@ -691,6 +701,187 @@ function activateListeners(rootEl, app, token, originalImage) {
   }
 }
 
+/**
+ * Render the editor row for one frame variant
+ */
+async function renderVariantRow(variant, token) {
+  const overrides = variant.overrides ?? {};
+  const statuses = CONFIG.statusEffects.map(status => ({
+    id: status.id,
+    name: game.i18n.localize(status.name ?? status.label ?? status.id)
+  }));
+
+  return foundry.applications.handlebars.renderTemplate(`modules/${MODULE_ID}/templates/frame-variant.hbs`, {
+    variant,
+    statuses,
+    hpBelowPercent: Math.round((variant.hpBelow ?? 0.5) * 100),
+    hpAttributePlaceholder: token.bar1?.attribute || 'attributes.hp',
+    hasTint: !!overrides.frameTint,
+    tintColor: overrides.frameTint || '#ff0000',
+    hasGlow: overrides.frameGlow > 0,
+    glowColor: overrides.frameGlowColor || FRAME_DEFAULTS.frameGlowColor
+  });
+}
+
+/**
+ * Show only the condition input that matches each variant's "when" selection
+ */
+function updateVariantConditions(rootEl) {
+  for (const row of rootEl.querySelectorAll('[data-token-framer="variants"] .tfl-variant')) {
+    const when = row.querySelector('[data-field="when"]').value;
+    for (const condition of row.querySelectorAll('.tfl-variant-condition')) {
+      condition.hidden = condition.dataset.when !== when;
+    }
+  }
+}
+
+/**
+ * Read the variant rows back into variant objects
+ */
+function readVariants(rootEl) {
+  const rows = rootEl.querySelectorAll('[data-token-framer="variants"] .tfl-variant');
+  return Array.from(rows, row => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const overrides = {};
+    const frameImage = field('frameImage').value.trim();
+    if (frameImage) overrides.frameImage = frameImage;
+    if (field('tint').checked) {
+      overrides.frameTint = field('frameTint').value;
+      overrides.frameTintStrength = 1;
+    }
+    if (field('glow').checked) {
+      overrides.frameGlow = VARIANT_GLOW_SIZE;
+      overrides.frameGlowColor = field('frameGlowColor').value;
+    }
+    if (field('baseGrayscale').checked) overrides.baseGrayscale = 1;
+
+    return {
+      id: row.dataset.variantId,
+      name: field('name').value.trim(),
+      when: field('when').value,
+      hpBelow: (parseFloat(field('hpBelow').value) || 50) / 100,
+      hpAttribute: field('hpAttribute').value.trim(),
+      statusId: field('statusId').value,
+      effectName: field('effectName').value.trim(),
+      overrides
+    };
+  });
+}
+
+/**
+ * Copy the variant rows into the hidden input the token sheet submits
+ */
+function syncVariantsField(rootEl) {
+  const input = rootEl.querySelector(`input[name="flags.${MODULE_ID}.frameData.variants"]`);
+  if (input) input.value = JSON.stringify(readVariants(rootEl));
+}
+
+/**
+ * Replace all variant rows (used when loading presets)
+ */
+async function setVariantRows(rootEl, token, variants) {
+  const list = rootEl.querySelector('[data-token-framer="variants"] .tfl-variant-list');
+  if (!list) return;
+  const rows = await Promise.all(variants.map(variant => renderVariantRow(variant, token)));
+  list.innerHTML = rows.join('');
+  delete list.dataset.previewVariant;
+  updateVariantConditions(rootEl);
+  syncVariantsField(rootEl);
+}
+
+/**
+ * Wire up the variant editor: add, delete, reorder, preview, file pickers and field edits
+ */
+function activateVariantListeners(rootEl, token, onChange) {
+  const group = rootEl.querySelector('[data-token-framer="variants"]');
+  const list = group?.querySelector('.tfl-variant-list');
+  if (!list) return;
+
+  const changed = () => {
+    updateVariantConditions(rootEl);
+    syncVariantsField(rootEl);
+    onChange();
+  };
+
+  group.querySelector('.tfl-variant-add')?.addEventListener('click', async () => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = await renderVariantRow(createVariant(), token);
+    list.append(...wrapper.children);
+    changed();
+  });
+
+  list.addEventListener('input', changed);
+  list.addEventListener('change', changed);
+
+  list.addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    const row = button?.closest('.tfl-variant');
+    if (!row) return;
+
+    if (button.classList.contains('tfl-variant-delete')) {
+      if (list.dataset.previewVariant === row.dataset.variantId) delete list.dataset.previewVariant;
+      row.remove();
+    } else if (button.classList.contains('tfl-variant-move')) {
+      const sibling = button.dataset.direction === '-1' ? row.previousElementSibling : row.nextElementSibling;
+      if (!sibling) return;
+      if (button.dataset.direction === '-1') sibling.before(row);
+      else sibling.after(row);
+    } else if (button.classList.contains('tfl-variant-preview')) {
+      const previewing = list.dataset.previewVariant === row.dataset.variantId;
+      if (previewing) delete list.dataset.previewVariant;
+      else list.dataset.previewVariant = row.dataset.variantId;
+      for (const previewButton of list.querySelectorAll('.tfl-variant-preview')) {
+        previewButton.classList.toggle('active', previewButton.closest('.tfl-variant').dataset.variantId === list.dataset.previewVariant);
+      }
+    } else if (button.classList.contains('tfl-variant-file-picker')) {
+      const input = row.querySelector('[data-field="frameImage"]');
+      new foundry.applications.apps.FilePicker.implementation({
+        type: 'imagevideo',
+        current: input.value,
+        callback: (path) => {
+          input.value = path;
+          changed();
+        }
+      }).render();
+      return;
+    }
+    changed();
+  });
+
+  updateVariantConditions(rootEl);
+}
+
+/**
+ * Options for a per-token output select, led by "World Default" (an empty value)
+ * @param {string[]} values
+ * @param {string} labelPrefix - Localization key the values are appended to
+ * @param {string} [selectedValue]
+ */
+function getOutputOptions(values, labelPrefix, selectedValue) {
+  return [
+    { value: '', label: 'TOKEN-FRAMER.Output.WorldDefault', selected: !selectedValue },
+    ...values.map(value => ({ value, label: `${labelPrefix}.${value}`, selected: value === selectedValue }))
+  ];
+}
+
+/**
+ * Read the disposition selected in the token sheet (null if the sheet has no such field)
+ */
+function getFormDisposition(rootEl) {
+  const value = rootEl.querySelector('select[name="disposition"]')?.value;
+  return value === undefined || value === '' ? null : Number(value);
+}
+
+/**
+ * Read the width:height ratio set in the token sheet (undefined if the sheet has no size fields)
+ */
+function getFormAspect(rootEl) {
+  return getTokenAspect({
+    width: Number(rootEl.querySelector('input[name="width"]')?.value),
+    height: Number(rootEl.querySelector('input[name="height"]')?.value)
+  });
+}
+
 /**
  * Gather frame form data from the form
  */
@@ -699,22 +890,67 @@ function gatherFrameFormData(rootEl) {
   const getChecked = (name) => rootEl.querySelector(`input[name="${name}"]`)?.checked ?? false;
   const getNumber = (name, fallback) => parseFloat(getValue(name)) || fallback;
   const getInt = (name, fallback) => parseInt(getValue(name)) || fallback;
+  // For values where 0 is meaningful
+  const getFloat = (name, fallback) => {
+    const value = parseFloat(getValue(name));
+    return Number.isNaN(value) ? fallback : value;
+  };
 
   return {
+    schemaVersion: FRAME_DATA_VERSION,
     enabled: getChecked(`flags.${MODULE_ID}.frameData.enabled`),
+    presetId: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.presetId"]`)?.value ?? '',
     frameImage: getValue(`flags.${MODULE_ID}.frameData.frameImage`),
     maskImage: getValue(`flags.${MODULE_ID}.frameData.maskImage`),
     baseScale: getNumber(`flags.${MODULE_ID}.frameData.baseScale`, 0.9),
     baseOffsetX: getInt(`flags.${MODULE_ID}.frameData.baseOffsetX`, 0),
     baseOffsetY: getInt(`flags.${MODULE_ID}.frameData.baseOffsetY`, 0),
+    baseFit: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.baseFit"]`)?.value ?? 'cover',
+    baseAnchor: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.baseAnchor"]`)?.value ?? 'top',
+    baseRotation: getFloat(`flags.${MODULE_ID}.frameData.baseRotation`, 0),
+    baseFlipX: getChecked(`flags.${MODULE_ID}.frameData.baseFlipX`),
+    baseFlipY: getChecked(`flags.${MODULE_ID}.frameData.baseFlipY`),
     maskRadius: getNumber(`flags.${MODULE_ID}.frameData.maskRadius`, 0.95),
     maskScale: getNumber(`flags.${MODULE_ID}.frameData.maskScale`, 1.0),
     maskOffsetX: getInt(`flags.${MODULE_ID}.frameData.maskOffsetX`, 0),
     maskOffsetY: getInt(`flags.${MODULE_ID}.frameData.maskOffsetY`, 0),
+    maskShape: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.maskShape"]`)?.value ?? 'circle',
+    maskExpand: getInt(`flags.${MODULE_ID}.frameData.maskExpand`, 0),
+    maskAspect: getNumber(`flags.${MODULE_ID}.frameData.maskAspect`, 1.0),
+    maskCornerRadius: getFloat(`flags.${MODULE_ID}.frameData.maskCornerRadius`, 0.25),
+    maskMode: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.maskMode"]`)?.value ?? 'luminance',
+    maskInvert: getChecked(`flags.${MODULE_ID}.frameData.maskInvert`),
+    maskFeather: getFloat(`flags.${MODULE_ID}.frameData.maskFeather`, 0),
     frameScale: getNumber(`flags.${MODULE_ID}.frameData.frameScale`, 1.0),
     frameOffsetX: getInt(`flags.${MODULE_ID}.frameData.frameOffsetX`, 0),
     frameOffsetY: getInt(`flags.${MODULE_ID}.frameData.frameOffsetY`, 0),
+    frameSlice: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.frameSlice"]`)?.value ?? 'stretch',
+    frameSliceTop: getFloat(`flags.${MODULE_ID}.frameData.frameSliceTop`, 0.25),
+    frameSliceRight: getFloat(`flags.${MODULE_ID}.frameData.frameSliceRight`, 0.25),
+    frameSliceBottom: getFloat(`flags.${MODULE_ID}.frameData.frameSliceBottom`, 0.25),
+    frameSliceLeft: getFloat(`flags.${MODULE_ID}.frameData.frameSliceLeft`, 0.25),
+    frameSliceEdges: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.frameSliceEdges"]`)?.value ?? 'stretch',
+    frameHue: getFloat(`flags.${MODULE_ID}.frameData.frameHue`, 0),
+    frameSaturation: getFloat(`flags.${MODULE_ID}.frameData.frameSaturation`, 1.0),
+    frameBrightness: getFloat(`flags.${MODULE_ID}.frameData.frameBrightness`, 1.0),
+    frameTint: getValue(`flags.${MODULE_ID}.frameData.frameTint`) || '#ffffff',
+    frameTintStrength: getFloat(`flags.${MODULE_ID}.frameData.frameTintStrength`, 0),
+    frameTintDisposition: getChecked(`flags.${MODULE_ID}.frameData.frameTintDisposition`),
+    variants: readVariants(rootEl),
+    layers: readLayers(rootEl.querySelector('[data-token-framer="layers"]')),
     bgEnabled: getChecked(`flags.${MODULE_ID}.frameData.bgEnabled`),
-    bgColor: getValue(`flags.${MODULE_ID}.frameData.bgColor`) || '#000000'
+    bgColor: getValue(`flags.${MODULE_ID}.frameData.bgColor`) || '#000000',
+    bgType: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.bgType"]`)?.value ?? 'color',
+    bgStops: readGradientStops(rootEl.querySelector('.tfl-background-editor')),
+    bgAngle: getFloat(`flags.${MODULE_ID}.frameData.bgAngle`, 180),
+    bgImage: getValue(`flags.${MODULE_ID}.frameData.bgImage`),
+    bgScale: getNumber(`flags.${MODULE_ID}.frameData.bgScale`, 1.0),
+    bgOffsetX: getInt(`flags.${MODULE_ID}.frameData.bgOffsetX`, 0),
+    bgOffsetY: getInt(`flags.${MODULE_ID}.frameData.bgOffsetY`, 0),
+    bgBlur: getFloat(`flags.${MODULE_ID}.frameData.bgBlur`, 20),
+    outputFormat: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.outputFormat"]`)?.value ?? '',
+    outputCompression: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.outputCompression"]`)?.value ?? '',
+    outputResolutionMode: rootEl.querySelector(`select[name="flags.${MODULE_ID}.frameData.outputResolutionMode"]`)?.value ?? '',
+    outputResolution: getInt(`flags.${MODULE_ID}.frameData.outputResolution`, null)
   };
 }
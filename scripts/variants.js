@@ -0,0 +1,169 @@
+/**
+ * Token Framer - State-Driven Variants
+ * A token's frameData can list variants, each with a condition (HP threshold, status or
+ * active effect) and frame overrides. The first variant whose condition holds is rendered
+ * instead of the base frame. Each variant hashes to its own cache file, so switching back
+ * and forth reuses earlier renders.
+ */
+
+import { MODULE_ID } from './constants.js';
+import { debugLog } from './main.js';
+import { getFrameData, frameTokenDocument } from './frame-layer.js';
+import { isRenderer } from './socket.js';
+
+/**
+ * frameData properties a variant may override
+ */
+export const VARIANT_OVERRIDE_KEYS = [
+  'frameImage', 'frameTint', 'frameTintStrength', 'frameGlow', 'frameGlowColor', 'baseGrayscale'
+];
+
+/**
+ * Glow size (reference pixels) used when a variant turns the glow on
+ */
+export const VARIANT_GLOW_SIZE = 30;
+
+/**
+ * Default HP attribute path (inside actor.system) when neither the variant nor bar 1 names one
+ */
+const DEFAULT_HP_ATTRIBUTE = 'attributes.hp';
+
+/**
+ * A new variant: below half HP, no overrides yet
+ */
+export function createVariant() {
+  return {
+    id: foundry.utils.randomID(),
+    name: '',
+    when: 'hp',
+    hpBelow: 0.5,
+    hpAttribute: '',
+    statusId: CONFIG.statusEffects.find(status => status.id === 'dead')?.id ?? CONFIG.statusEffects[0]?.id ?? '',
+    effectName: '',
+    overrides: {}
+  };
+}
+
+/**
+ * Read a variants value as an array
+ * The token config submits variants as JSON text; form processing can also turn arrays into index-keyed objects.
+ * @param {Array|Object|string} value
+ * @returns {Array<Object>}
+ */
+export function normalizeVariants(value) {
+  if (!value) return [];
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : Object.values(value ?? {});
+}
+
+/**
+ * Turn submitted variants into an array before an update is saved
+ * @param {Object} [moduleFlags] - The module's flags inside an update's changes
+ */
+export function normalizeVariantChanges(moduleFlags) {
+  const frameData = moduleFlags?.frameData;
+  if (frameData && 'variants' in frameData) frameData.variants = normalizeVariants(frameData.variants);
+}
+
+/**
+ * Get an actor's HP as a 0-1 fraction (null if the attribute has no value/max)
+ */
+function getHpFraction(tokenDoc, attribute) {
+  const actor = tokenDoc.actor;
+  if (!actor) return null;
+  const path = attribute || tokenDoc.bar1?.attribute || DEFAULT_HP_ATTRIBUTE;
+  const hp = foundry.utils.getProperty(actor.system, path);
+  const value = Number(hp?.value);
+  const max = Number(hp?.max);
+  if (!Number.isFinite(value) || !Number.isFinite(max) || max <= 0) return null;
+  return value / max;
+}
+
+/**
+ * Check a variant's condition against a token's current state
+ */
+function variantMatches(variant, tokenDoc) {
+  switch (variant.when) {
+    case 'hp': {
+      const fraction = getHpFraction(tokenDoc, variant.hpAttribute);
+      return fraction !== null && fraction < (Number(variant.hpBelow) || 0);
+    }
+    case 'status':
+      return !!variant.statusId && (tokenDoc.hasStatusEffect?.(variant.statusId)
+        ?? tokenDoc.actor?.statuses?.has(variant.statusId) ?? false);
+    case 'effect': {
+      const name = variant.effectName?.trim().toLowerCase();
+      if (!name) return false;
+      const effects = tokenDoc.actor?.appliedEffects ?? [];
+      return effects.some(effect => effect.name?.toLowerCase() === name);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the first variant whose condition currently holds
+ * @param {TokenDocument} tokenDoc
+ * @param {Object} frameData
+ * @returns {Object|null}
+ */
+export function getActiveVariant(tokenDoc, frameData) {
+  if (!tokenDoc || !frameData?.variants) return null;
+  return normalizeVariants(frameData.variants).find(variant => variantMatches(variant, tokenDoc)) ?? null;
+}
+
+/**
+ * Apply the active variant's overrides to frameData
+ * @param {Object} frameData
+ * @param {TokenDocument} [tokenDoc] - Token whose state selects the variant
+ * @returns {{frameData: Object, variantId: string}} variantId is '' when no variant applies
+ */
+export function applyFrameVariant(frameData, tokenDoc) {
+  const variant = getActiveVariant(tokenDoc, frameData);
+  if (!variant) return { frameData, variantId: '' };
+
+  const overrides = {};
+  for (const key of VARIANT_OVERRIDE_KEYS) {
+    const value = variant.overrides?.[key];
+    if (value !== undefined && value !== null && value !== '') overrides[key] = value;
+  }
+  return { frameData: { ...frameData, ...overrides }, variantId: variant.id };
+}
+
+/**
+ * Re-frame a token if a different variant (or none) now applies
+ * Every client sees the state change - only the one elected to render the token acts on it.
+ * @param {TokenDocument} tokenDoc
+ */
+export async function refreshTokenVariant(tokenDoc) {
+  if (!tokenDoc || !isRenderer(tokenDoc)) return;
+  const frameData = getFrameData(tokenDoc);
+  if (!frameData.enabled || !frameData.frameImage || !normalizeVariants(frameData.variants).length) return;
+
+  const variantId = getActiveVariant(tokenDoc, frameData)?.id ?? '';
+  if (variantId === (tokenDoc.getFlag(MODULE_ID, 'activeVariant') ?? '')) return;
+
+  debugLog(`Frame variant for ${tokenDoc.name} is now "${variantId || 'base'}"`);
+  try {
+    await frameTokenDocument(tokenDoc);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Failed to switch frame variant for ${tokenDoc.name}:`, err);
+  }
+}
+
+/**
+ * Refresh every token of an actor in the world's scenes
+ * @param {Actor} actor - World actor, or the synthetic actor of an unlinked token
+ */
+export async function refreshActorVariants(actor) {
+  if (!actor) return;
+  const tokenDocs = actor.isToken ? [actor.token] : actor.getDependentTokens?.() ?? [];
+  for (const tokenDoc of tokenDocs) await refreshTokenVariant(tokenDoc);
+}